@@ -2,35 +2,21 @@
 // Download Pragmatic Play game thumbnails from their website to local storage
 // Fetches each game's page to find the real thumbnail image URL, then downloads it
 
-process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
-const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const { request } = require('./lib/http');
 
 const SEED_PATH = path.join(__dirname, 'data', 'pp-seed-games.json');
 const IMG_DIR = path.join(__dirname, 'public', 'images', 'pp');
 
 function httpsGet(url) {
-  return new Promise((resolve, reject) => {
-    const u = new URL(url);
-    const opts = {
-      hostname: u.hostname,
-      path: u.pathname + u.search,
-      method: 'GET',
-      agent: new https.Agent({ rejectUnauthorized: false }),
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
-        'Accept': '*/*',
-      }
-    };
-    https.request(opts, (res) => {
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        return resolve(httpsGet(res.headers.location));
-      }
-      const chunks = [];
-      res.on('data', c => chunks.push(c));
-      res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
-    }).on('error', reject).end();
+  return request(url, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
+      'Accept': '*/*',
+    },
+    followRedirects: 5,
+    responseType: 'buffer'
   });
 }
 
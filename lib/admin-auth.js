@@ -0,0 +1,272 @@
+// ──────────────────────────────────────────────
+// Admin authentication, roles and audit trail
+// Roles: viewer (ดูสถิติ) < editor (แก้ข้อมูลเกม) < owner (export ข้อมูลผู้ใช้ + ดู audit log)
+// Who may log in comes from .env only:
+//   ADMIN_USERS="alice:owner:password,bob:viewer:password"      — username/password form
+//   ADMIN_TELEGRAM_IDS="123456789:owner,987654321:viewer"       — Telegram Login Widget
+//   ADMIN_API_TOKENS="deploy:editor:long-random-token"          — Authorization: Bearer <token> (scripts/curl)
+// Sessions are a signed cookie (ADMIN_SESSION_SECRET); the role is looked up again on every
+// request, so removing someone from .env locks them out without waiting for the cookie to expire.
+// Audit trail: one JSON object per line, append-only.
+// ──────────────────────────────────────────────
+const crypto = require('crypto');
+const fs = require('fs');
+const { verifyLoginWidget } = require('./telegram-auth');
+const { readCookie, isSecure } = require('./cookies');
+
+const ROLES = ['viewer', 'editor', 'owner'];
+const COOKIE_NAME = 'co168_admin';
+const SESSION_HOURS = Number(process.env.ADMIN_SESSION_HOURS) || 12;
+const LOGIN_MAX_FAILS = 5;
+const LOGIN_LOCK_MS = 15 * 60 * 1000;
+
+let _botToken = null;
+let _auditFile = null;
+let _secret = null;
+const _loginFails = new Map(); // ip → { count, until }
+
+function parseList(value, minParts) {
+  return String(value || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(s => s.split(':'))
+    .filter(parts => parts.length >= minParts);
+}
+
+function validRole(role) {
+  return ROLES.includes(role) ? role : null;
+}
+
+// Principals from .env, keyed by session subject ("user:alice", "tg:123", "token:deploy")
+function loadPrincipals() {
+  const principals = {};
+  for (const [name, role, ...rest] of parseList(process.env.ADMIN_USERS, 3)) {
+    if (validRole(role)) principals['user:' + name] = { name, role, password: rest.join(':') };
+  }
+  for (const [id, role] of parseList(process.env.ADMIN_TELEGRAM_IDS, 2)) {
+    if (validRole(role)) principals['tg:' + id] = { name: 'tg:' + id, role };
+  }
+  for (const [name, role, ...rest] of parseList(process.env.ADMIN_API_TOKENS, 3)) {
+    if (validRole(role)) principals['token:' + name] = { name: 'token:' + name, role, token: rest.join(':') };
+  }
+  return principals;
+}
+
+function init({ botToken, auditFile }) {
+  _botToken = botToken || null;
+  _auditFile = auditFile;
+  _secret = process.env.ADMIN_SESSION_SECRET || null;
+  if (!_secret) {
+    // Sessions won't survive a restart, but still can't be forged
+    _secret = crypto.randomBytes(32).toString('hex');
+    console.warn('[ADMIN] ADMIN_SESSION_SECRET not set — admin sessions reset on every restart');
+  }
+  if (Object.keys(loadPrincipals()).length === 0) {
+    console.warn('[ADMIN] No ADMIN_USERS / ADMIN_TELEGRAM_IDS / ADMIN_API_TOKENS set — /admin is locked');
+  }
+}
+
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// Constant-time compare for strings of any length
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+// ──────── Signed session cookie ────────
+function sign(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const mac = crypto.createHmac('sha256', _secret).update(body).digest('base64url');
+  return body + '.' + mac;
+}
+
+function unsign(value) {
+  const [body, mac] = String(value || '').split('.');
+  if (!body || !mac) return null;
+  const expected = crypto.createHmac('sha256', _secret).update(body).digest('base64url');
+  if (!safeEqual(mac, expected)) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf-8'));
+    return payload && payload.exp > Date.now() ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+function setSessionCookie(req, res, sub) {
+  const exp = Date.now() + SESSION_HOURS * 3600 * 1000;
+  const secure = isSecure(req);
+  res.setHeader('Set-Cookie', `${COOKIE_NAME}=${encodeURIComponent(sign({ sub, exp }))}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${SESSION_HOURS * 3600}` + (secure ? '; Secure' : ''));
+}
+
+function clearSessionCookie(res) {
+  res.setHeader('Set-Cookie', `${COOKIE_NAME}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+}
+
+// Who is calling: { sub, name, role, via } or null
+function getAdmin(req) {
+  const principals = loadPrincipals();
+  const auth = req.headers.authorization || '';
+  if (auth.startsWith('Bearer ')) {
+    const token = auth.slice(7).trim();
+    for (const [sub, p] of Object.entries(principals)) {
+      if (p.token && safeEqual(p.token, token)) return { sub, name: p.name, role: p.role, via: 'token' };
+    }
+    return null;
+  }
+  const session = unsign(readCookie(req, COOKIE_NAME, { decode: true }));
+  if (!session || !principals[session.sub]) return null;
+  const p = principals[session.sub];
+  return { sub: session.sub, name: p.name, role: p.role, via: session.sub.split(':')[0] };
+}
+
+// X-Forwarded-For only counts when it comes from a proxy the app trusts (app.set('trust proxy'))
+function clientIp(req) {
+  return req.ip || null;
+}
+
+// ──────── Audit trail ────────
+function audit(req, admin, action, detail) {
+  if (!_auditFile) return;
+  const entry = {
+    at: new Date().toISOString(),
+    user: admin ? admin.name : null,
+    role: admin ? admin.role : null,
+    via: admin ? admin.via : null,
+    ip: clientIp(req),
+    action,
+    ...(detail && { detail })
+  };
+  try {
+    fs.appendFileSync(_auditFile, JSON.stringify(entry) + '\n', 'utf-8');
+  } catch (err) {
+    console.error('[ADMIN] audit write error:', err.message);
+  }
+}
+
+// Newest first
+function readAudit(limit = 200) {
+  try {
+    if (!_auditFile || !fs.existsSync(_auditFile)) return [];
+    const lines = fs.readFileSync(_auditFile, 'utf-8').split('\n').filter(Boolean);
+    return lines.slice(-limit).reverse().map(line => {
+      try { return JSON.parse(line); } catch { return null; }
+    }).filter(Boolean);
+  } catch (err) {
+    console.error('[ADMIN] audit read error:', err.message);
+    return [];
+  }
+}
+
+// ──────── Middleware ────────
+// requireRole('editor', { audit: 'cq9-names' }) — 401 when not logged in (HTML → redirect to login),
+// 403 when the role is too low. With `audit`, the request is logged once the response is sent;
+// handlers can add details via res.locals.auditDetail.
+function requireRole(required, { audit: action } = {}) {
+  return (req, res, next) => {
+    const admin = getAdmin(req);
+    if (!admin) {
+      if (req.method === 'GET' && !req.originalUrl.startsWith('/api/') && req.accepts(['html', 'json']) === 'html') {
+        return res.redirect(302, '/admin/login?next=' + encodeURIComponent(req.originalUrl));
+      }
+      return res.status(401).json({ error: 'Login required' });
+    }
+    if (!hasRole(admin.role, required)) {
+      if (action) audit(req, admin, action + ':denied', { method: req.method, path: req.originalUrl });
+      return res.status(403).json({ error: `Requires ${required} role` });
+    }
+    req.admin = admin;
+    if (action) {
+      res.on('finish', () => {
+        audit(req, admin, action, { method: req.method, path: req.originalUrl, status: res.statusCode, ...res.locals.auditDetail });
+      });
+    }
+    next();
+  };
+}
+
+// ──────── Login / logout ────────
+function loginLocked(ip) {
+  const f = _loginFails.get(ip);
+  if (f && f.until <= Date.now()) _loginFails.delete(ip);
+  return !!(f && f.count >= LOGIN_MAX_FAILS && f.until > Date.now());
+}
+
+function pruneLoginFails() {
+  const now = Date.now();
+  for (const [ip, f] of _loginFails) {
+    if (f.until <= now) _loginFails.delete(ip);
+  }
+}
+setInterval(pruneLoginFails, LOGIN_LOCK_MS).unref();
+
+function loginFailed(ip) {
+  const f = _loginFails.get(ip);
+  const fresh = !f || f.until <= Date.now();
+  _loginFails.set(ip, { count: fresh ? 1 : f.count + 1, until: Date.now() + LOGIN_LOCK_MS });
+}
+
+// → { ok: true } (cookie set) | { ok: false, error }
+function loginWithPassword(req, res, username, password) {
+  const ip = clientIp(req);
+  if (loginLocked(ip)) return { ok: false, error: 'ลองผิดหลายครั้งเกินไป กรุณารอ 15 นาที' };
+  const sub = 'user:' + String(username || '').trim();
+  const p = loadPrincipals()[sub];
+  if (!p || !password || !safeEqual(p.password, password)) {
+    loginFailed(ip);
+    audit(req, null, 'login:failed', { username: String(username || '').slice(0, 64), via: 'password' });
+    return { ok: false, error: 'ชื่อผู้ใช้หรือรหัสผ่านไม่ถูกต้อง' };
+  }
+  _loginFails.delete(ip);
+  setSessionCookie(req, res, sub);
+  audit(req, { name: p.name, role: p.role, via: 'user' }, 'login');
+  return { ok: true };
+}
+
+function loginWithTelegram(req, res, fields) {
+  const check = verifyLoginWidget(fields, _botToken);
+  if (!check.ok) {
+    audit(req, null, 'login:failed', { via: 'telegram', error: check.error });
+    return { ok: false, error: check.error };
+  }
+  const sub = 'tg:' + check.user.id;
+  const p = loadPrincipals()[sub];
+  if (!p) {
+    audit(req, null, 'login:failed', { via: 'telegram', telegram_user_id: check.user.id, username: check.user.username });
+    return { ok: false, error: 'บัญชี Telegram นี้ไม่มีสิทธิ์เข้าแอดมิน' };
+  }
+  setSessionCookie(req, res, sub);
+  audit(req, { name: p.name, role: p.role, via: 'tg' }, 'login', { username: check.user.username });
+  return { ok: true };
+}
+
+function logout(req, res) {
+  const admin = getAdmin(req);
+  if (admin) audit(req, admin, 'logout');
+  clearSessionCookie(res);
+}
+
+// Only same-site relative paths, to avoid an open redirect after login
+function safeNext(next) {
+  const s = String(next || '');
+  return /^\/(?![/\\])/.test(s) ? s : '/admin';
+}
+
+module.exports = {
+  ROLES,
+  init,
+  getAdmin,
+  hasRole,
+  requireRole,
+  audit,
+  readAudit,
+  loginWithPassword,
+  loginWithTelegram,
+  logout,
+  safeNext
+};
@@ -0,0 +1,354 @@
+// ──────────────────────────────────────────────
+// On-disk cache for static game assets served through the reverse proxies
+// - Only GET 200 responses with a static Content-Type (script, style, image, audio, font, wasm)
+//   for asset-like paths or ones upstream marks immutable; never Set-Cookie, private/no-store/no-cache.
+//   The cache is shared by every player, so anything that could be per-session (JSON, HTML, …) stays out
+// - Freshness from Cache-Control max-age / Expires; fingerprinted file name (app.3f9a2c1e.js)
+//   or immutable → 30 days; no header at all → defaultTtlSec
+// - Content-addressed: bodies live in <dir>/blobs/<sha256> as received (still gzip/br encoded),
+//   so the same file under several URLs is stored once; <dir>/index.json maps URLs to blobs
+// - maxBytes total with LRU eviction; maxEntryBytes per file
+// - Hits are served from disk with ETag/304 and single-range Range requests (audio seeking)
+// ──────────────────────────────────────────────
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const { DECODERS, clientAccepts } = require('./content-encoding');
+
+const IMMUTABLE_TTL_SEC = 30 * 24 * 3600;
+const SAVE_DELAY_MS = 5000;
+const ASSET_EXT_RE = /\.(?:js|mjs|css|png|jpe?g|gif|webp|avif|svg|ico|mp3|ogg|oga|m4a|aac|wav|webm|mp4|woff2?|ttf|otf|eot|atlas|fnt|plist|bin|wasm|skel|ktx2?|basis)$/i;
+// Content hash right before the extension: main.3f9a2c1e.js, app-0c1d2e3f4a5b.css, /ab/0c1d2e3f4a5b6c7d.png
+const HASHED_RE = /(?:[._-]|\/)[0-9a-f]{8,}\.[a-z0-9]+$/i;
+const STATIC_TYPE_RE = /^(?:image\/|audio\/|font\/|text\/css|(?:application|text)\/(?:x-)?(?:javascript|ecmascript)|application\/(?:wasm|font-|x-font-|vnd\.ms-fontobject))/;
+
+function assetKind(urlPath) {
+  const pathname = urlPath.split('?')[0];
+  if (!ASSET_EXT_RE.test(pathname)) return null;
+  return HASHED_RE.test(pathname) ? 'hashed' : 'asset';
+}
+
+// Cache-Control → { directive: value|true }
+function parseCacheControl(header) {
+  const out = {};
+  for (const part of String(header || '').split(',')) {
+    const [k, v] = part.trim().toLowerCase().split('=');
+    if (k) out[k] = v === undefined ? true : v.replace(/"/g, '');
+  }
+  return out;
+}
+
+// How long (seconds) a response may be kept, or 0 when it must not be stored
+function freshnessOf(proxyRes, urlPath, defaultTtlSec) {
+  if (proxyRes.statusCode !== 200 || proxyRes.headers['set-cookie']) return 0;
+  const ct = String(proxyRes.headers['content-type'] || '').toLowerCase();
+  if (!STATIC_TYPE_RE.test(ct.trim())) return 0;
+  const vary = String(proxyRes.headers['vary'] || '').toLowerCase().split(',').map(v => v.trim()).filter(Boolean);
+  if (vary.some(v => v !== 'accept-encoding' && v !== 'origin')) return 0;
+  const cc = parseCacheControl(proxyRes.headers['cache-control']);
+  if (cc['no-store'] || cc['no-cache'] || cc['private']) return 0;
+
+  const kind = assetKind(urlPath);
+  if (!kind && !cc.immutable) return 0;
+  const maxAge = cc['s-maxage'] != null ? Number(cc['s-maxage']) : cc['max-age'] != null ? Number(cc['max-age']) : null;
+  if (maxAge != null && Number.isFinite(maxAge)) return Math.max(0, maxAge);
+  if (proxyRes.headers['expires']) {
+    const at = Date.parse(proxyRes.headers['expires']);
+    return Number.isFinite(at) ? Math.max(0, Math.floor((at - Date.now()) / 1000)) : 0;
+  }
+  return kind === 'hashed' || cc.immutable ? IMMUTABLE_TTL_SEC : defaultTtlSec;
+}
+
+// "bytes=a-b" → { start, end } | 'invalid' | null (no/unsupported range → full response)
+function parseRange(header, size) {
+  const m = String(header || '').match(/^bytes=(\d*)-(\d*)$/);
+  if (!m || (m[1] === '' && m[2] === '')) return null;
+  let start;
+  let end;
+  if (m[1] === '') {
+    start = Math.max(0, size - Number(m[2]));
+    end = size - 1;
+  } else {
+    start = Number(m[1]);
+    end = m[2] === '' ? size - 1 : Math.min(Number(m[2]), size - 1);
+  }
+  return start > end || start >= size ? 'invalid' : { start, end };
+}
+
+function createAssetCache({ dir, maxBytes = 1024 * 1024 * 1024, maxEntryBytes = 50 * 1024 * 1024, defaultTtlSec = 24 * 3600 }) {
+  const blobDir = path.join(dir, 'blobs');
+  const tmpDir = path.join(dir, 'tmp');
+  const indexFile = path.join(dir, 'index.json');
+  const entries = new Map(); // key → entry; Map order = least recently used first
+  const refs = new Map(); // blob hash → number of entries using it
+  const blobSizes = new Map(); // blob hash → bytes
+  const writing = new Set(); // keys being stored right now
+  const counters = { hits: 0, misses: 0, bypassed: 0, stored: 0, evicted: 0, notModified: 0 };
+  const byProvider = {}; // id → { hits, misses }
+  let totalBytes = 0;
+  let saveTimer = null;
+  let tmpSeq = 0;
+
+  const blobPath = hash => path.join(blobDir, hash.slice(0, 2), hash);
+  const providerStats = id => byProvider[id] || (byProvider[id] = { hits: 0, misses: 0 });
+
+  function addRef(hash, size) {
+    refs.set(hash, (refs.get(hash) || 0) + 1);
+    if (!blobSizes.has(hash)) {
+      blobSizes.set(hash, size);
+      totalBytes += size;
+    }
+  }
+
+  function releaseRef(hash) {
+    const n = (refs.get(hash) || 0) - 1;
+    if (n > 0) return refs.set(hash, n);
+    refs.delete(hash);
+    totalBytes -= blobSizes.get(hash) || 0;
+    blobSizes.delete(hash);
+    fs.rmSync(blobPath(hash), { force: true }); // sync: a commit of the same hash may follow right away
+  }
+
+  function remove(key) {
+    const e = entries.get(key);
+    if (!e) return;
+    entries.delete(key);
+    releaseRef(e.hash);
+  }
+
+  function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      try {
+        const tmp = indexFile + '.tmp-' + process.pid;
+        fs.writeFileSync(tmp, JSON.stringify([...entries.values()]));
+        fs.renameSync(tmp, indexFile);
+      } catch (err) {
+        console.error('[ASSET-CACHE] Could not save index:', err.message);
+      }
+    }, SAVE_DELAY_MS);
+    saveTimer.unref();
+  }
+
+  function evict() {
+    while (totalBytes > maxBytes && entries.size) {
+      remove(entries.keys().next().value);
+      counters.evicted++;
+    }
+  }
+
+  // Index from the last run; entries whose blob is gone are dropped, blobs no entry uses are deleted
+  function load() {
+    fs.mkdirSync(blobDir, { recursive: true });
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    fs.mkdirSync(tmpDir, { recursive: true });
+    let saved = [];
+    try {
+      saved = JSON.parse(fs.readFileSync(indexFile, 'utf-8'));
+    } catch (_) {}
+    const now = Date.now();
+    for (const e of Array.isArray(saved) ? saved : []) {
+      if (!e || !e.key || !/^[0-9a-f]{64}$/.test(e.hash || '') || e.expiresAt <= now) continue;
+      try {
+        if (fs.statSync(blobPath(e.hash)).size !== e.size) continue;
+      } catch {
+        continue;
+      }
+      entries.set(e.key, e);
+      addRef(e.hash, e.size);
+    }
+    for (const sub of fs.readdirSync(blobDir)) {
+      for (const name of fs.readdirSync(path.join(blobDir, sub))) {
+        if (!refs.has(name)) fs.rmSync(path.join(blobDir, sub, name), { force: true });
+      }
+    }
+    evict();
+  }
+
+  // Fresh entry for key, or null (counts the miss when the path looks cacheable)
+  function lookup(key, urlPath, provider) {
+    const e = entries.get(key);
+    if (e && e.expiresAt > Date.now()) return e;
+    if (e) remove(key);
+    if (assetKind(urlPath)) {
+      counters.misses++;
+      providerStats(provider).misses++;
+    }
+    return null;
+  }
+
+  function serve(req, res, e) {
+    counters.hits++;
+    providerStats(e.provider).hits++;
+    e.hits++;
+    e.lastAccess = Date.now();
+    entries.delete(e.key);
+    entries.set(e.key, e);
+    scheduleSave();
+
+    const etag = `"${e.hash.slice(0, 32)}"`;
+    res.setHeader('X-Asset-Cache', 'HIT');
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', `public, max-age=${Math.max(0, Math.floor((e.expiresAt - Date.now()) / 1000))}`);
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    if (e.lastModified) res.setHeader('Last-Modified', e.lastModified);
+    if (e.contentType) res.setHeader('Content-Type', e.contentType);
+    if (req.headers['if-none-match'] === etag) {
+      counters.notModified++;
+      return res.status(304).end();
+    }
+
+    const file = blobPath(e.hash);
+    const onError = err => {
+      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error('[ASSET-CACHE] Serve error:', err.message);
+    };
+    const encoding = e.contentEncoding || 'identity';
+    if (encoding !== 'identity') {
+      res.setHeader('Vary', 'Accept-Encoding');
+      if (!clientAccepts(req.headers['accept-encoding'], encoding)) {
+        // Stored compressed, client can't read it → decode on the way out (no ranges)
+        if (req.method === 'HEAD') return res.status(200).end();
+        return pipeline(fs.createReadStream(file), DECODERS[encoding](), res, onError);
+      }
+      res.setHeader('Content-Encoding', encoding);
+    } else {
+      res.setHeader('Accept-Ranges', 'bytes');
+    }
+
+    const range = encoding === 'identity' ? parseRange(req.headers['range'], e.size) : null;
+    if (range === 'invalid') {
+      res.setHeader('Content-Range', `bytes */${e.size}`);
+      return res.status(416).end();
+    }
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${e.size}`);
+      res.setHeader('Content-Length', range.end - range.start + 1);
+    } else {
+      res.status(200);
+      res.setHeader('Content-Length', e.size);
+    }
+    if (req.method === 'HEAD') return res.end();
+    pipeline(fs.createReadStream(file, range || {}), res, onError);
+  }
+
+  function commit(key, tmp, hash, size, meta) {
+    writing.delete(key);
+    const target = blobPath(hash);
+    try {
+      if (blobSizes.has(hash)) {
+        fs.rmSync(tmp, { force: true });
+      } else {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.renameSync(tmp, target);
+      }
+    } catch (err) {
+      fs.rm(tmp, { force: true }, () => {});
+      return console.error('[ASSET-CACHE] Could not store', key, err.message);
+    }
+    addRef(hash, size); // before removing the old entry, so an unchanged blob isn't deleted
+    remove(key);
+    entries.set(key, { key, ...meta, hash, size, hits: 0, lastAccess: Date.now() });
+    counters.stored++;
+    evict();
+    scheduleSave();
+  }
+
+  // Tee an upstream response into the cache when it may be stored; returns whether it will be
+  function capture(key, urlPath, proxyRes, provider) {
+    const ttlSec = freshnessOf(proxyRes, urlPath, defaultTtlSec);
+    const declared = Number(proxyRes.headers['content-length']);
+    if (!ttlSec || declared > maxEntryBytes) {
+      if (assetKind(urlPath)) counters.bypassed++;
+      return false;
+    }
+    if (writing.has(key)) return false;
+    writing.add(key);
+
+    const tmp = path.join(tmpDir, `${process.pid}-${++tmpSeq}`);
+    const out = fs.createWriteStream(tmp);
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    let failed = false;
+    const abandon = () => {
+      if (failed) return;
+      failed = true;
+      writing.delete(key);
+      out.destroy();
+      fs.rm(tmp, { force: true }, () => {});
+    };
+    out.on('error', abandon);
+    proxyRes.on('data', chunk => {
+      if (failed) return;
+      size += chunk.length;
+      if (size > maxEntryBytes) return abandon();
+      hash.update(chunk);
+      out.write(chunk);
+    });
+    proxyRes.on('aborted', abandon);
+    proxyRes.on('error', abandon);
+    proxyRes.on('end', () => {
+      if (failed) return;
+      if (!proxyRes.complete || (declared && declared !== size)) return abandon();
+      out.end(() => commit(key, tmp, hash.digest('hex'), size, {
+        provider,
+        contentType: proxyRes.headers['content-type'] || null,
+        contentEncoding: String(proxyRes.headers['content-encoding'] || 'identity').toLowerCase(),
+        lastModified: proxyRes.headers['last-modified'] || null,
+        storedAt: Date.now(),
+        expiresAt: Date.now() + ttlSec * 1000
+      }));
+    });
+    return true;
+  }
+
+  // Drop entries by provider, host and/or path prefix (no filter = everything); returns the count
+  function purge({ provider = null, host = null, prefix = null } = {}) {
+    let n = 0;
+    for (const [key, e] of [...entries]) {
+      const rest = key.slice(key.indexOf(':') + 1); // <host>/<path>
+      const slash = rest.indexOf('/');
+      if (provider && e.provider !== provider) continue;
+      if (host && rest.slice(0, slash) !== host) continue;
+      if (prefix && !rest.slice(slash).startsWith(prefix)) continue;
+      remove(key);
+      n++;
+    }
+    if (n) scheduleSave();
+    return n;
+  }
+
+  function status() {
+    const providers = {};
+    for (const e of entries.values()) {
+      const p = providers[e.provider] || (providers[e.provider] = { entries: 0, bytes: 0, hits: 0, misses: 0 });
+      p.entries++;
+      p.bytes += e.size;
+    }
+    for (const [id, s] of Object.entries(byProvider)) {
+      const p = providers[id] || (providers[id] = { entries: 0, bytes: 0, hits: 0, misses: 0 });
+      p.hits = s.hits;
+      p.misses = s.misses;
+      p.hitRate = s.hits + s.misses ? s.hits / (s.hits + s.misses) : null;
+    }
+    const lookups = counters.hits + counters.misses;
+    return {
+      ...counters,
+      hitRate: lookups ? counters.hits / lookups : null,
+      entries: entries.size,
+      blobs: refs.size,
+      bytes: totalBytes,
+      maxBytes,
+      maxEntryBytes,
+      writing: writing.size,
+      byProvider: providers
+    };
+  }
+
+  load();
+  return { lookup, serve, capture, purge, status };
+}
+
+module.exports = { createAssetCache, freshnessOf, parseRange, assetKind };
@@ -0,0 +1,100 @@
+// ──────────────────────────────────────────────
+// Bot usage rollups (pre-aggregated stats for /admin)
+// Built once from the event store (scan), then updated per appended event; the event list
+// itself (latest) is paged from the store.
+// Each hour/day bucket (lib/time-buckets.js): total, unverified, per-action, per-provider
+// and per-user counts. Queries merge buckets, so their cost follows the number of
+// days/hours asked for, not the number of events.
+// Flagged events (verified:false) are counted in `unverified` only.
+// ──────────────────────────────────────────────
+const { DEFAULT_TZ } = require('./tz');
+const { createTimeBuckets } = require('./time-buckets');
+
+const HOUR_MS = 3600 * 1000;
+
+function emptyBucket() {
+  return { total: 0, unverified: 0, actions: {}, providers: {}, users: new Map() };
+}
+
+function addToBucket(b, e) {
+  if (e.verified === false) {
+    b.unverified++;
+    return;
+  }
+  b.total++;
+  b.actions[e.action] = (b.actions[e.action] || 0) + 1;
+  if (e.provider) b.providers[e.provider] = (b.providers[e.provider] || 0) + 1;
+  b.users.set(e.telegram_user_id, (b.users.get(e.telegram_user_id) || 0) + 1);
+}
+
+function mergeInto(acc, b) {
+  acc.total += b.total;
+  acc.unverified += b.unverified;
+  for (const k in b.actions) acc.actions[k] = (acc.actions[k] || 0) + b.actions[k];
+  for (const k in b.providers) acc.providers[k] = (acc.providers[k] || 0) + b.providers[k];
+  for (const [uid, n] of b.users) acc.users.set(uid, (acc.users.get(uid) || 0) + n);
+}
+
+// store: lib/event-store.js (scan, latest)
+function createRollups(store, { tz: defaultTz = DEFAULT_TZ } = {}) {
+  const buckets = createTimeBuckets({ tz: defaultTz, empty: emptyBucket, add: addToBucket });
+  const userInfo = new Map(); // telegram_user_id → { username, first_name } (latest seen)
+
+  function index(e) {
+    if (!buckets.insert(e)) return false;
+    if (e.verified !== false) userInfo.set(e.telegram_user_id, { username: e.username, first_name: e.first_name });
+    return true;
+  }
+
+  // Incremental update — called for every appended event
+  function add(e) {
+    index(e);
+  }
+
+  function stats(range, { tz = defaultTz, topUsers = 20, latestLimit = 50 } = {}) {
+    const acc = emptyBucket();
+    const byDayMap = {};
+    for (const [day, b] of buckets.bucketsFor(range, tz)) {
+      mergeInto(acc, b);
+      if (b.total) byDayMap[day] = (byDayMap[day] || 0) + b.total;
+    }
+    const top = [...acc.users.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, topUsers)
+      .map(([uid, count]) => ({ telegram_user_id: uid, ...(userInfo.get(uid) || {}), count }));
+    // Hourly breakdown (local hours in tz) for short ranges — a single day / last 24 ชม.
+    const span = range.from ? (range.to ? Date.parse(range.to) : Date.now()) - Date.parse(range.from) : Infinity;
+    const byHour = span <= 48 * HOUR_MS
+      ? buckets.hoursFor(range, tz).map(({ hour, bucket }) => ({ hour, count: bucket.total }))
+      : undefined;
+    return {
+      total: acc.total,
+      uniqueUsers: acc.users.size,
+      unverified: acc.unverified,
+      byAction: Object.entries(acc.actions).map(([action, count]) => ({ action, count })),
+      byProvider: Object.entries(acc.providers).map(([provider, count]) => ({ provider, count })),
+      byDay: Object.keys(byDayMap).sort().map(date => ({ date, count: byDayMap[date] })),
+      ...(byHour && { byHour }),
+      topUsers: top,
+      latest: store.latest(range, { limit: latestLimit, filter: e => e.verified !== false }).rows
+    };
+  }
+
+  // Per-day totals for every day of a month (calendar); range = that month in tz
+  function month(yearMonth, daysInMonth, range, tz = defaultTz) {
+    const counts = {};
+    for (const [day, b] of buckets.bucketsFor(range, tz)) counts[day] = (counts[day] || 0) + b.total;
+    const byDay = [];
+    for (let d = 1; d <= daysInMonth; d++) {
+      const date = yearMonth + '-' + String(d).padStart(2, '0');
+      byDay.push({ date, count: counts[date] || 0 });
+    }
+    return byDay;
+  }
+
+  store.scan(index);
+
+  return { add, stats, latest: store.latest, month };
+}
+
+module.exports = { createRollups };
@@ -0,0 +1,120 @@
+// ──────────────────────────────────────────────
+// Catalog change log
+// Every time a provider's games are (re)loaded they are diffed against the last snapshot:
+//   added / removed / renamed / recategorised / image
+// Changes are appended to an event store (one event per game change) and the snapshot is
+// updated, so edits made while the server was down show up on the next start.
+// The first time a provider is seen only the snapshot is taken (no flood of "added").
+// A game added within newDays counts as new — flags.new on canonical games (lib/game-model.js).
+// ──────────────────────────────────────────────
+const fs = require('fs');
+
+const DAY_MS = 24 * 3600 * 1000;
+
+function pick(g) {
+  return { name: g.name || '', category: g.category || '', image: g.image || '' };
+}
+
+// key → { name, category, image }
+function snapshotOf(mod, games) {
+  const out = {};
+  for (const g of games) {
+    if (!g || g[mod.keyField] == null) continue;
+    out[String(g[mod.keyField])] = pick(g);
+  }
+  return out;
+}
+
+// Changes between two snapshots: [{ type, key, name, from?, to? }]
+function diffSnapshots(before, after) {
+  const changes = [];
+  for (const [key, g] of Object.entries(after)) {
+    const old = before[key];
+    if (!old) {
+      changes.push({ type: 'added', key, name: g.name });
+      continue;
+    }
+    if (old.name !== g.name) changes.push({ type: 'renamed', key, name: g.name, from: old.name, to: g.name });
+    if (old.category !== g.category) changes.push({ type: 'recategorised', key, name: g.name, from: old.category, to: g.category });
+    if (old.image !== g.image) changes.push({ type: 'image', key, name: g.name, from: old.image, to: g.image });
+  }
+  for (const [key, g] of Object.entries(before)) {
+    if (!after[key]) changes.push({ type: 'removed', key, name: g.name });
+  }
+  return changes;
+}
+
+// { added: n, removed: n, ... } — for run summaries
+function countByType(changes) {
+  const out = {};
+  for (const c of changes) out[c.type] = (out[c.type] || 0) + 1;
+  return out;
+}
+
+function createCatalogChangelog({ store, snapshotFile, newDays = 30 }) {
+  let snapshots = {};
+  try {
+    snapshots = JSON.parse(fs.readFileSync(snapshotFile, 'utf-8')) || {};
+  } catch (_) {}
+  const addedAt = new Map(); // 'provider:key' → ISO time of the latest 'added'
+  store.scan(index);
+
+  function index(e) {
+    const uid = e.provider + ':' + e.key;
+    if (e.type === 'added') addedAt.set(uid, e.created_at);
+    else if (e.type === 'removed') addedAt.delete(uid);
+  }
+
+  function saveSnapshots() {
+    const tmp = snapshotFile + '.tmp-' + process.pid;
+    fs.writeFileSync(tmp, JSON.stringify(snapshots));
+    fs.renameSync(tmp, snapshotFile);
+  }
+
+  // Diff a provider's current games against its snapshot; returns the stored change events
+  function observe(mod, games, source = null) {
+    const after = snapshotOf(mod, games);
+    const before = snapshots[mod.id];
+    snapshots[mod.id] = after;
+    if (!before) {
+      saveSnapshots();
+      return [];
+    }
+    const changes = diffSnapshots(before, after);
+    if (changes.length === 0) return [];
+    const created_at = new Date().toISOString();
+    const stored = changes.map(c => {
+      const e = store.append({ provider: mod.id, ...c, source, created_at });
+      index(e);
+      return e;
+    });
+    saveSnapshots();
+    console.log(`[CATALOG] ${mod.id}: ${Object.entries(countByType(changes)).map(([t, n]) => `${n} ${t}`).join(', ')}` + (source ? ` (${source})` : ''));
+    return stored;
+  }
+
+  // since: ISO time (created_at >= since) or an event id (id > since, for polling)
+  function query({ provider = null, type = null, since = null, limit = 200 } = {}) {
+    const s = since != null && since !== '' ? String(since) : null;
+    const afterId = s && /^\d+$/.test(s) ? Number(s) : null;
+    const rows = [];
+    let total = 0;
+    store.scan((e) => {
+      if (s !== null && (afterId !== null ? !(e.id > afterId) : !(e.created_at >= s))) return;
+      if ((provider && e.provider !== provider) || (type && e.type !== type)) return;
+      total++;
+      rows.push(e);
+      if (rows.length > limit * 2) rows.splice(0, rows.length - limit);
+    });
+    return { changes: rows.slice(-limit).reverse(), total, lastId: store.lastId() };
+  }
+
+  function isNew(providerId, key) {
+    const at = addedAt.get(providerId + ':' + key);
+    return !!at && Date.now() - Date.parse(at) < newDays * DAY_MS;
+  }
+
+  return { observe, query, isNew };
+}
+
+module.exports = { createCatalogChangelog, snapshotOf, diffSnapshots, countByType };
@@ -0,0 +1,151 @@
+// ──────────────────────────────────────────────
+// Catalog sanity guard — shared by the scrapers, the sync job and the loaders
+// A game list is rejected when:
+//   - it isn't an array of objects with the provider's key field
+//   - it has fewer than mod.minGames entries
+//   - it shrank more than CATALOG_MAX_SHRINK_PCT (default 30) % against the previous version
+//   - a key appears twice, or a game has an empty name
+// Rejected lists are quarantined in data/quarantine/<provider>-<time>.json (with the reasons)
+// instead of replacing the live file; /admin lists them.
+// ──────────────────────────────────────────────
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Not taken from providers/common — that module loads this one
+const QUARANTINE_DIR = path.join(__dirname, '..', 'data', 'quarantine');
+const QUARANTINE_KEEP = 20; // per provider
+const QUARANTINE_RE = /^([a-z0-9_-]+)-(\d{8}T\d{6}Z)-([0-9a-f]{8})\.json$/;
+const DEFAULT_MIN_GAMES = 1;
+
+function maxShrinkPct() {
+  const v = Number(process.env.CATALOG_MAX_SHRINK_PCT);
+  return Number.isFinite(v) && v >= 0 ? v : 30;
+}
+
+// Up to 5 examples for an error message
+function examples(list) {
+  return list.slice(0, 5).join(', ') + (list.length > 5 ? `, … (${list.length})` : '');
+}
+
+// → array of reasons (empty = accepted). previousCount: size of the version it would replace
+function checkGames(mod, games, { previousCount = null } = {}) {
+  if (!Array.isArray(games)) return ['not an array'];
+  const reasons = [];
+  const minGames = mod.minGames || DEFAULT_MIN_GAMES;
+  if (games.length < minGames) reasons.push(`only ${games.length} games (minimum ${minGames})`);
+  if (previousCount) {
+    const shrink = (1 - games.length / previousCount) * 100;
+    if (shrink > maxShrinkPct()) {
+      reasons.push(`shrank ${Math.round(shrink)}% (${previousCount} → ${games.length}, limit ${maxShrinkPct()}%)`);
+    }
+  }
+  const malformed = [];
+  const unnamed = [];
+  const dupes = [];
+  const seen = new Set();
+  games.forEach((g, i) => {
+    if (!g || typeof g !== 'object' || g[mod.keyField] == null || g[mod.keyField] === '') {
+      malformed.push('#' + i);
+      return;
+    }
+    const key = String(g[mod.keyField]);
+    if (seen.has(key)) dupes.push(key);
+    seen.add(key);
+    if (typeof g.name !== 'string' || !g.name.trim()) unnamed.push(key);
+    if (g.category != null && typeof g.category !== 'string') malformed.push(key);
+  });
+  if (malformed.length) reasons.push(`malformed entries (no ${mod.keyField} / bad category): ${examples(malformed)}`);
+  if (dupes.length) reasons.push(`duplicate ${mod.keyField}: ${examples(dupes)}`);
+  if (unnamed.length) reasons.push(`empty name: ${examples(unnamed)}`);
+  return reasons;
+}
+
+function readCount(file) {
+  try {
+    const arr = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    return Array.isArray(arr) ? arr.length : null;
+  } catch {
+    return null;
+  }
+}
+
+function stamp(d = new Date()) {
+  return d.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+}
+
+// Keep a rejected list for inspection. The same content is only quarantined once
+// (a loader re-reading the same bad file on every reload doesn't pile up copies).
+function quarantine(mod, games, { reasons, source = null }) {
+  const body = JSON.stringify(games);
+  const hash = crypto.createHash('sha1').update(body).digest('hex').slice(0, 8);
+  fs.mkdirSync(QUARANTINE_DIR, { recursive: true });
+  const existing = fs.readdirSync(QUARANTINE_DIR).filter(f => f.startsWith(mod.id + '-'));
+  const dup = existing.find(f => f.endsWith(`-${hash}.json`));
+  if (dup) return dup;
+  const name = `${mod.id}-${stamp()}-${hash}.json`;
+  const record = {
+    provider: mod.id,
+    source,
+    reasons,
+    count: Array.isArray(games) ? games.length : null,
+    quarantinedAt: new Date().toISOString(),
+    games
+  };
+  fs.writeFileSync(path.join(QUARANTINE_DIR, name), JSON.stringify(record, null, 2));
+  console.warn(`[GUARD] ${mod.id}: rejected ${source || 'catalog'} → quarantine/${name}: ${reasons.join('; ')}`);
+  existing.sort().slice(0, Math.max(0, existing.length + 1 - QUARANTINE_KEEP))
+    .forEach(f => fs.rmSync(path.join(QUARANTINE_DIR, f), { force: true }));
+  return name;
+}
+
+// Validate against the file it would replace; write it (temp + rename) or quarantine and throw
+function writeGames(mod, file, games, { source = null, previousFile = file } = {}) {
+  const reasons = checkGames(mod, games, { previousCount: readCount(previousFile) });
+  if (reasons.length) {
+    const err = new Error(`Rejected ${path.basename(file)}: ${reasons.join('; ')}`);
+    err.reasons = reasons;
+    err.quarantined = quarantine(mod, games, { reasons, source: source || path.basename(file) });
+    throw err;
+  }
+  const tmp = file + '.tmp-' + process.pid;
+  fs.writeFileSync(tmp, JSON.stringify(games, null, 2));
+  fs.renameSync(tmp, file);
+  return games.length;
+}
+
+// Quarantined files, newest first (without the game lists)
+function listQuarantine() {
+  if (!fs.existsSync(QUARANTINE_DIR)) return [];
+  return fs.readdirSync(QUARANTINE_DIR)
+    .filter(f => QUARANTINE_RE.test(f))
+    .sort((a, b) => (a.match(QUARANTINE_RE)[2] < b.match(QUARANTINE_RE)[2] ? 1 : -1))
+    .map(name => {
+      try {
+        const { games, ...meta } = JSON.parse(fs.readFileSync(path.join(QUARANTINE_DIR, name), 'utf-8'));
+        return { name, ...meta };
+      } catch (err) {
+        return { name, provider: name.match(QUARANTINE_RE)[1], error: err.message };
+      }
+    });
+}
+
+// Full quarantined record, or null for an unknown name
+function readQuarantine(name) {
+  if (!QUARANTINE_RE.test(name)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(path.join(QUARANTINE_DIR, name), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function removeQuarantine(name) {
+  if (!QUARANTINE_RE.test(name)) return false;
+  const file = path.join(QUARANTINE_DIR, name);
+  if (!fs.existsSync(file)) return false;
+  fs.rmSync(file);
+  return true;
+}
+
+module.exports = { checkGames, quarantine, writeGames, listQuarantine, readQuarantine, removeQuarantine, QUARANTINE_DIR };
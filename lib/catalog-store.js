@@ -0,0 +1,186 @@
+// ──────────────────────────────────────────────
+// In-memory catalog store
+// Loads providers.json, categories-map.json and every provider's games + featured list
+// once, then watches data/ and swaps in fresh copies when a file changes.
+// A file that fails to parse is logged and ignored — the last good copy keeps serving.
+// Every successful swap bumps `version`, used as the ETag for catalog APIs.
+// ──────────────────────────────────────────────
+const fs = require('fs');
+const EventEmitter = require('events');
+const { DATA_DIR, readJsonFile } = require('./providers/common');
+const registry = require('./providers');
+
+const RELOAD_DEBOUNCE_MS = 250;
+const EMPTY_CATEGORIES_MAP = { globalCategories: [], providerMaps: {}, jiliByName: {} };
+
+const events = new EventEmitter();
+let _version = 0;
+let _providers = [];
+let _categoriesMap = EMPTY_CATEGORIES_MAP;
+let _catalogs = {}; // id → { games, featured, loadedAt }
+let _watcher = null;
+const _pending = new Map(); // filename → debounce timer
+
+function bump(reason) {
+  _version++;
+  events.emit('reload', { version: _version, reason });
+}
+
+// previousCount: size of the list being replaced (the loader's shrink guard)
+function loadProviderCatalog(mod, strict, previousCount = null) {
+  const games = mod.loadGames({ strict, previousCount });
+  const featured = registry.loadFeaturedIds(mod.id, { strict });
+  return { games: Array.isArray(games) ? games : [], featured, loadedAt: new Date().toISOString() };
+}
+
+// strict=false on startup (fall back to seed like before); strict=true on hot reload
+function reloadProviders(strict) {
+  const next = readJsonFile('providers.json', null, { strict });
+  if (!Array.isArray(next)) {
+    if (strict) throw new Error('providers.json is not an array');
+    return;
+  }
+  _providers = next;
+}
+
+function reloadCategoriesMap(strict) {
+  const next = readJsonFile('categories-map.json', null, { strict });
+  _categoriesMap = next && typeof next === 'object' ? next : EMPTY_CATEGORIES_MAP;
+}
+
+function reloadProvider(id, strict) {
+  const mod = registry.getProvider(id);
+  if (!mod) return;
+  const current = _catalogs[mod.id];
+  const fresh = loadProviderCatalog(mod, strict, current ? current.games.length : null);
+  _catalogs = { ..._catalogs, [mod.id]: fresh };
+}
+
+function loadAll() {
+  reloadProviders(false);
+  reloadCategoriesMap(false);
+  const next = {};
+  for (const p of _providers) {
+    const mod = registry.getProvider(p.slug || p.id);
+    if (mod) next[mod.id] = loadProviderCatalog(mod, false);
+  }
+  _catalogs = next;
+  bump('init');
+}
+
+// Which provider catalogs a changed data file affects
+function providersUsingFile(filename) {
+  return _providers
+    .map(p => registry.getProvider(p.slug || p.id))
+    .filter(mod => mod && ((mod.dataFiles || []).includes(filename) || registry.featuredFileOf(mod) === filename))
+    .map(mod => mod.id);
+}
+
+function handleFileChange(filename) {
+  let reloaded = [];
+  try {
+    if (filename === 'providers.json') {
+      reloadProviders(true);
+      // A newly listed provider needs its games loaded too
+      for (const p of _providers) {
+        const mod = registry.getProvider(p.slug || p.id);
+        if (mod && !_catalogs[mod.id]) {
+          reloadProvider(mod.id, false);
+          reloaded.push(mod.id);
+        }
+      }
+    } else if (filename === 'categories-map.json') {
+      reloadCategoriesMap(true);
+    } else {
+      reloaded = providersUsingFile(filename);
+      if (reloaded.length === 0) return;
+      reloaded.forEach(id => reloadProvider(id, true));
+    }
+    bump(filename);
+    // 'games' → one per provider whose game list was reloaded (change log diffing)
+    reloaded.forEach(id => events.emit('games', { id, reason: filename }));
+    console.log(`[CATALOG] Reloaded after change to ${filename} (v${_version})`);
+  } catch (err) {
+    console.warn(`[CATALOG] Ignoring ${filename} change, keeping last good copy:`, err.message);
+  }
+}
+
+function watch() {
+  if (_watcher) return;
+  try {
+    // Watch the directory, not single files — scrapers and editors replace files via rename
+    _watcher = fs.watch(DATA_DIR, { persistent: false }, (eventType, filename) => {
+      if (!filename || !filename.endsWith('.json')) return;
+      clearTimeout(_pending.get(filename));
+      _pending.set(filename, setTimeout(() => {
+        _pending.delete(filename);
+        handleFileChange(filename);
+      }, RELOAD_DEBOUNCE_MS));
+    });
+    _watcher.on('error', (err) => console.warn('[CATALOG] Watcher error:', err.message));
+  } catch (err) {
+    console.warn('[CATALOG] Could not watch data/ — hot reload disabled:', err.message);
+  }
+}
+
+function init() {
+  loadAll();
+  watch();
+}
+
+function getProviders() {
+  return _providers;
+}
+
+// providers.json entries joined with their module, from the cached providers list
+function listProviders({ enabledOnly = false } = {}) {
+  return _providers
+    .filter(p => !enabledOnly || p.enabled)
+    .map(p => ({ entry: p, module: registry.getProvider(p.slug || p.id) }))
+    .filter(p => p.module);
+}
+
+function getGames(id) {
+  const c = _catalogs[String(id || '').toLowerCase()];
+  return c ? c.games : [];
+}
+
+function getFeatured(id) {
+  const c = _catalogs[String(id || '').toLowerCase()];
+  return c ? c.featured : new Set();
+}
+
+function getCategoriesMap() {
+  return _categoriesMap;
+}
+
+function version() {
+  return _version;
+}
+
+function etag() {
+  return `W/"catalog-${_version}"`;
+}
+
+// Status for admin/debug: per-provider counts and load times
+function status() {
+  return {
+    version: _version,
+    providers: Object.entries(_catalogs).map(([id, c]) => ({
+      id, games: c.games.length, featured: c.featured.size, loadedAt: c.loadedAt
+    }))
+  };
+}
+
+module.exports = {
+  events,
+  init,
+  getProviders,
+  listProviders,
+  getGames,
+  getFeatured,
+  getCategoriesMap,
+  version,
+  etag,
+  status
+};
@@ -0,0 +1,230 @@
+// ──────────────────────────────────────────────
+// Scheduled catalog sync (node-cron)
+// A provider module opts in with sync: { script, schedule } — script is run as a child
+// process with `--out <temp file>` (scrapers skip their seed fallback in that mode).
+// The temp file goes through the catalog guard and is renamed over data/<dataFiles[0]>; the
+// catalog store's watcher then hot-reloads it. A failed or rejected run leaves the live file
+// untouched (a rejected output is quarantined).
+// - Schedule: SYNC_CRON_<ID> overrides the module default ('off' = manual only),
+//   evaluated in the stats time zone
+// - One run at a time (scrapers start Chromium); manual runs queue behind a running one
+// - Last runs per provider are kept in statusFile: status, duration, count, delta,
+//   change counts by type, log tail
+// ──────────────────────────────────────────────
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const cron = require('node-cron');
+const { DATA_DIR } = require('./providers/common');
+const { snapshotOf, diffSnapshots, countByType } = require('./catalog-changes');
+const { checkGames, quarantine } = require('./catalog-guard');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const LOG_TAIL_LINES = 30;
+
+function scheduleOf(mod) {
+  const env = process.env['SYNC_CRON_' + mod.id.toUpperCase()];
+  const expr = env != null && env !== '' ? env.trim() : mod.sync.schedule;
+  return !expr || expr === 'off' ? null : expr;
+}
+
+function outputFileOf(mod) {
+  return mod.sync.output || mod.dataFiles[0];
+}
+
+function readGames(file) {
+  try {
+    const arr = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    return Array.isArray(arr) ? arr : null;
+  } catch {
+    return null;
+  }
+}
+
+// Catalog guard on the scraper's output (lib/catalog-guard.js); a rejected list is
+// quarantined and the error carries the reasons
+function validateGames(mod, file, previous) {
+  let games;
+  try {
+    games = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error('Output is not valid JSON: ' + err.message);
+  }
+  const reasons = checkGames(mod, games, { previousCount: previous ? previous.length : null });
+  if (reasons.length) {
+    const err = new Error(reasons.join('; '));
+    err.quarantined = quarantine(mod, games, { reasons, source: 'sync:' + mod.sync.script });
+    throw err;
+  }
+  return games;
+}
+
+function createCatalogSync({ listModules, statusFile, tz, timeoutMs = 15 * 60 * 1000, historySize = 20 }) {
+  const history = readHistory();
+  const tasks = new Map(); // provider id → cron task
+  const queue = [];
+  let running = null; // { id, trigger, startedAt }
+  let draining = false;
+  let current = null; // job being executed
+
+  function readHistory() {
+    try {
+      const data = JSON.parse(fs.readFileSync(statusFile, 'utf-8'));
+      return data && typeof data === 'object' ? data : {};
+    } catch {
+      return {};
+    }
+  }
+
+  function saveHistory() {
+    try {
+      const tmp = statusFile + '.tmp-' + process.pid;
+      fs.writeFileSync(tmp, JSON.stringify(history, null, 2));
+      fs.renameSync(tmp, statusFile);
+    } catch (err) {
+      console.error('[SYNC] Could not save run history:', err.message);
+    }
+  }
+
+  function findModule(id) {
+    return listModules().find(m => m.id === id) || null;
+  }
+
+  // node <script> --out <tmp>; resolves { code, log } (log = last lines of stdout+stderr)
+  function runScript(mod, tmp) {
+    return new Promise((resolve) => {
+      const lines = [];
+      const child = spawn(process.execPath, [path.join(ROOT_DIR, mod.sync.script), '--out', tmp], {
+        cwd: ROOT_DIR,
+        env: process.env,
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+      const collect = chunk => {
+        for (const line of chunk.toString('utf-8').split('\n')) {
+          if (!line.trim()) continue;
+          lines.push(line);
+          if (lines.length > LOG_TAIL_LINES) lines.shift();
+        }
+      };
+      child.stdout.on('data', collect);
+      child.stderr.on('data', collect);
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGKILL');
+      }, timeoutMs);
+      child.on('error', err => lines.push(err.message));
+      child.on('close', code => {
+        clearTimeout(timer);
+        resolve({ code, timedOut, log: lines });
+      });
+    });
+  }
+
+  async function execute(mod, trigger, by) {
+    const target = path.join(DATA_DIR, outputFileOf(mod));
+    const tmp = path.join(DATA_DIR, `.${outputFileOf(mod)}.sync-${process.pid}.tmp`);
+    const startedAt = Date.now();
+    const record = { provider: mod.id, trigger, by: by || null, startedAt: new Date(startedAt).toISOString() };
+    running = { id: mod.id, trigger, startedAt: record.startedAt };
+    console.log(`[SYNC] ${mod.id}: starting (${trigger})`);
+    try {
+      const { code, timedOut, log } = await runScript(mod, tmp);
+      record.log = log;
+      if (timedOut) throw Object.assign(new Error(`Timed out after ${Math.round(timeoutMs / 1000)}s`), { status: 'failed' });
+      if (code !== 0) throw Object.assign(new Error(`${mod.sync.script} exited with code ${code}`), { status: 'failed' });
+      const previous = readGames(target);
+      record.previousCount = previous ? previous.length : null;
+      let games;
+      try {
+        games = validateGames(mod, tmp, previous);
+      } catch (err) {
+        record.quarantined = err.quarantined || null;
+        throw Object.assign(err, { status: 'rejected' });
+      }
+      fs.renameSync(tmp, target);
+      record.status = 'ok';
+      record.count = games.length;
+      record.delta = previous ? games.length - previous.length : null;
+      // Summary only — the full diff lands in the change log when the catalog reloads
+      if (previous) record.changes = countByType(diffSnapshots(snapshotOf(mod, previous), snapshotOf(mod, games)));
+    } catch (err) {
+      record.status = err.status || 'failed';
+      record.error = err.message;
+      try { fs.unlinkSync(tmp); } catch (_) {}
+    }
+    record.finishedAt = new Date().toISOString();
+    record.durationMs = Date.now() - startedAt;
+    running = null;
+    console.log(`[SYNC] ${mod.id}: ${record.status}` + (record.status === 'ok' ? ` — ${record.count} games (${record.delta == null ? 'new' : (record.delta >= 0 ? '+' : '') + record.delta})` : ` — ${record.error}`) + ` in ${record.durationMs}ms`);
+    history[mod.id] = [record, ...(history[mod.id] || [])].slice(0, historySize);
+    saveHistory();
+    return record;
+  }
+
+  async function drain() {
+    if (draining) return;
+    draining = true;
+    while (queue.length) {
+      current = queue.shift();
+      current.done(await execute(current.mod, current.trigger, current.by));
+      current = null;
+    }
+    draining = false;
+  }
+
+  // Queue a run; resolves with the finished run record. A provider that is already running
+  // or waiting isn't queued again — the caller gets that run instead.
+  function run(id, { trigger = 'manual', by = null } = {}) {
+    const mod = findModule(id);
+    if (!mod || !mod.sync) return Promise.reject(Object.assign(new Error(`No sync job for ${id}`), { status: 404 }));
+    const pending = [current, ...queue].find(j => j && j.mod.id === mod.id);
+    if (pending) return pending.promise;
+    let done;
+    const promise = new Promise(resolve => { done = resolve; });
+    queue.push({ mod, trigger, by, done, promise });
+    drain();
+    return promise;
+  }
+
+  function start() {
+    for (const mod of listModules()) {
+      if (!mod.sync || tasks.has(mod.id)) continue;
+      const expr = scheduleOf(mod);
+      if (!expr) continue;
+      if (!cron.validate(expr)) {
+        console.warn(`[SYNC] ${mod.id}: invalid cron expression "${expr}", not scheduled`);
+        continue;
+      }
+      tasks.set(mod.id, cron.schedule(expr, () => {
+        run(mod.id, { trigger: 'cron' }).catch(err => console.error(`[SYNC] ${mod.id}:`, err.message));
+      }, { timezone: tz }));
+    }
+    return [...tasks.keys()];
+  }
+
+  function stop() {
+    for (const task of tasks.values()) task.stop();
+    tasks.clear();
+  }
+
+  function status() {
+    return {
+      tz,
+      running,
+      queued: queue.map(j => j.mod.id),
+      jobs: listModules().filter(m => m.sync).map(mod => ({
+        provider: mod.id,
+        script: mod.sync.script,
+        output: outputFileOf(mod),
+        schedule: scheduleOf(mod),
+        scheduled: tasks.has(mod.id),
+        runs: history[mod.id] || []
+      }))
+    };
+  }
+
+  return { run, start, stop, status };
+}
+
+module.exports = { createCatalogSync };
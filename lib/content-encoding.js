@@ -0,0 +1,66 @@
+// ──────────────────────────────────────────────
+// Content-Encoding helpers for proxied responses
+// Upstream may send any of DECODERS; the client gets what its Accept-Encoding prefers
+// ──────────────────────────────────────────────
+const zlib = require('zlib');
+
+const DECODERS = {
+  gzip: () => zlib.createGunzip(),
+  'x-gzip': () => zlib.createGunzip(),
+  deflate: () => zlib.createInflate(),
+  br: () => zlib.createBrotliDecompress()
+};
+const ENCODERS = {
+  br: () => zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } }),
+  gzip: () => zlib.createGzip(),
+  deflate: () => zlib.createDeflate()
+};
+const UPSTREAM_ACCEPT_ENCODING = 'gzip, deflate, br';
+
+// Accept-Encoding → { encoding: q }
+function parseAcceptEncoding(header) {
+  const out = {};
+  for (const part of String(header || '').split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    if (!name) continue;
+    const q = params.map(p => p.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+    out[name] = q ? Number(q[1]) : 1;
+  }
+  return out;
+}
+
+function clientAccepts(header, encoding) {
+  if (encoding === 'identity') return true;
+  const accepted = parseAcceptEncoding(header);
+  const q = accepted[encoding] ?? accepted['*'];
+  return q != null && q > 0;
+}
+
+// Best encoding we can produce for this client ('identity' when it accepts none)
+function negotiateEncoding(header) {
+  const accepted = parseAcceptEncoding(header);
+  let best = 'identity';
+  let bestQ = 0;
+  for (const name of Object.keys(ENCODERS)) {
+    const q = accepted[name] ?? accepted['*'] ?? 0;
+    if (q > bestQ) {
+      best = name;
+      bestQ = q;
+    }
+  }
+  return best;
+}
+
+function contentEncodingOf(proxyRes) {
+  return String(proxyRes.headers['content-encoding'] || 'identity').trim().toLowerCase();
+}
+
+module.exports = {
+  DECODERS,
+  ENCODERS,
+  UPSTREAM_ACCEPT_ENCODING,
+  parseAcceptEncoding,
+  clientAccepts,
+  negotiateEncoding,
+  contentEncodingOf
+};
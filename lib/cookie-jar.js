@@ -0,0 +1,154 @@
+// ──────────────────────────────────────────────
+// Server-side cookie jar for proxied game sessions
+// Upstream cookies never reach the browser and the browser's cookies (ours: admin session,
+// Telegram, …) never reach the provider. Each player gets an opaque co168_proxy cookie; the
+// jar behind it keeps what the game hosts set, scoped like a browser would (RFC 6265):
+//   Domain=jiligames.com → sent to every *.jiligames.com host; no Domain → that host only
+//   Path, Max-Age / Expires honoured; a Domain outside the proxy's allowlist is refused
+// Jars live in memory and are dropped after idleMs without a request.
+// ──────────────────────────────────────────────
+const crypto = require('crypto');
+const { readCookie, appendSetCookie, isSecure } = require('./cookies');
+
+const COOKIE_NAME = 'co168_proxy';
+const SID_RE = /^[A-Za-z0-9_-]{24}$/;
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+// Directory of the request path — the cookie path when Set-Cookie has none
+function defaultPath(requestPath) {
+  const p = String(requestPath || '/').split('?')[0];
+  const i = p.lastIndexOf('/');
+  return i <= 0 ? '/' : p.slice(0, i);
+}
+
+function domainMatch(host, domain) {
+  return host === domain || host.endsWith('.' + domain);
+}
+
+function pathMatch(requestPath, cookiePath) {
+  const p = String(requestPath || '/').split('?')[0];
+  if (p === cookiePath) return true;
+  return p.startsWith(cookiePath) && (cookiePath.endsWith('/') || p[cookiePath.length] === '/');
+}
+
+// One Set-Cookie header → cookie, or null when it's malformed or not allowed for host.
+// allowDomain(domain): whether a Domain= attribute may widen the cookie to that domain.
+function parseSetCookie(header, host, requestPath, allowDomain) {
+  const [pair, ...attrs] = String(header).split(';');
+  const eq = pair.indexOf('=');
+  if (eq < 1) return null;
+  const cookie = {
+    name: pair.slice(0, eq).trim(),
+    value: pair.slice(eq + 1).trim(),
+    domain: host,
+    hostOnly: true,
+    path: defaultPath(requestPath),
+    expiresAt: null,
+    createdAt: Date.now()
+  };
+  let maxAge = null;
+  for (const attr of attrs) {
+    const i = attr.indexOf('=');
+    const key = (i === -1 ? attr : attr.slice(0, i)).trim().toLowerCase();
+    const value = i === -1 ? '' : attr.slice(i + 1).trim();
+    if (key === 'max-age' && /^-?\d+$/.test(value)) {
+      maxAge = Number(value);
+    } else if (key === 'expires') {
+      const at = Date.parse(value);
+      if (Number.isFinite(at)) cookie.expiresAt = at;
+    } else if (key === 'domain' && value) {
+      const domain = value.replace(/^\./, '').toLowerCase();
+      if (!domainMatch(host, domain) || !allowDomain(domain)) return null;
+      cookie.domain = domain;
+      cookie.hostOnly = false;
+    } else if (key === 'path' && value.startsWith('/')) {
+      cookie.path = value;
+    }
+  }
+  if (maxAge !== null) cookie.expiresAt = Date.now() + maxAge * 1000;
+  return cookie;
+}
+
+function createCookieJar({ idleMs = 6 * 3600 * 1000, maxSessions = 20000, maxCookies = 300 } = {}) {
+  const sessions = new Map(); // sid → { cookies: Map, lastUsed }; Map order = least recently used first
+
+  function touch(sid) {
+    let s = sessions.get(sid);
+    if (s) sessions.delete(sid);
+    else s = { cookies: new Map() };
+    s.lastUsed = Date.now();
+    sessions.set(sid, s);
+    while (sessions.size > maxSessions) sessions.delete(sessions.keys().next().value);
+    return s;
+  }
+
+  // Player's session id; a new one is issued (Set-Cookie on res) when the browser has none
+  function sessionOf(req, res) {
+    const existing = readCookie(req, COOKIE_NAME);
+    if (existing && SID_RE.test(existing)) {
+      touch(existing);
+      return existing;
+    }
+    if (!res) return null;
+    const sid = crypto.randomBytes(18).toString('base64url');
+    appendSetCookie(res, `${COOKIE_NAME}=${sid}; Path=/; HttpOnly; SameSite=Lax` + (isSecure(req) ? '; Secure' : ''));
+    touch(sid);
+    return sid;
+  }
+
+  // Store upstream Set-Cookie headers for sid (host/path: the request that received them)
+  function store(sid, host, requestPath, setCookie, allowDomain) {
+    if (!sid || !setCookie) return;
+    const jar = touch(sid).cookies;
+    for (const header of [].concat(setCookie)) {
+      const c = parseSetCookie(header, host, requestPath, allowDomain);
+      if (!c) continue;
+      const id = `${c.hostOnly ? '' : '.'}${c.domain}|${c.path}|${c.name}`;
+      const old = jar.get(id);
+      jar.delete(id);
+      if (c.expiresAt !== null && c.expiresAt <= Date.now()) continue; // expired = delete
+      if (old) c.createdAt = old.createdAt;
+      jar.set(id, c);
+    }
+    while (jar.size > maxCookies) jar.delete(jar.keys().next().value);
+  }
+
+  // Cookie header for a request to https://host/path, '' when nothing applies
+  function header(sid, host, requestPath) {
+    const s = sid && sessions.get(sid);
+    if (!s) return '';
+    const now = Date.now();
+    const out = [];
+    for (const [id, c] of s.cookies) {
+      if (c.expiresAt !== null && c.expiresAt <= now) {
+        s.cookies.delete(id);
+        continue;
+      }
+      if (c.hostOnly ? host !== c.domain : !domainMatch(host, c.domain)) continue;
+      if (!pathMatch(requestPath, c.path)) continue;
+      out.push(c);
+    }
+    // Longer paths first, then older cookies first (RFC 6265 5.4)
+    out.sort((a, b) => b.path.length - a.path.length || a.createdAt - b.createdAt);
+    return out.map(c => `${c.name}=${c.value}`).join('; ');
+  }
+
+  function sweep() {
+    const cutoff = Date.now() - idleMs;
+    for (const [sid, s] of sessions) {
+      if (s.lastUsed >= cutoff) break; // LRU order: the rest are newer
+      sessions.delete(sid);
+    }
+  }
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+  function status() {
+    let cookies = 0;
+    for (const s of sessions.values()) cookies += s.cookies.size;
+    return { sessions: sessions.size, cookies };
+  }
+
+  return { sessionOf, store, header, status, COOKIE_NAME };
+}
+
+module.exports = { createCookieJar, parseSetCookie };
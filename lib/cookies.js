@@ -0,0 +1,34 @@
+// ──────────────────────────────────────────────
+// Cookie helpers shared by admin sessions (lib/admin-auth.js) and the game proxies
+// (lib/cookie-jar.js, lib/reverse-proxy.js)
+// ──────────────────────────────────────────────
+
+// Value of cookie `name` on req, null when absent. decode: URI-decode it — a malformed
+// encoding (truncated or hand-edited cookie) counts as absent instead of throwing
+function readCookie(req, name, { decode = false } = {}) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const i = part.indexOf('=');
+    if (i <= 0 || part.slice(0, i).trim() !== name) continue;
+    const value = part.slice(i + 1).trim();
+    if (!decode) return value;
+    try {
+      return decodeURIComponent(value);
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+// Adds a Set-Cookie header to res without dropping ones already set (session + page cookies)
+function appendSetCookie(res, cookie) {
+  const prev = res.getHeader('Set-Cookie');
+  res.setHeader('Set-Cookie', prev ? [].concat(prev, cookie) : cookie);
+}
+
+function isSecure(req) {
+  return req.secure || req.headers['x-forwarded-proto'] === 'https';
+}
+
+module.exports = { readCookie, appendSetCookie, isSecure };
@@ -0,0 +1,376 @@
+// ──────────────────────────────────────────────
+// Append-only event store (NDJSON segments)
+// - One event per line, written with a single synchronous append → a crash can only tear the
+//   last line, which is cut off on the next start
+// - fdatasync runs off the event loop, once per batch (group commit): every append made while
+//   a flush is in flight is covered by the next one. A power loss can drop the last few ms.
+// - IDs are monotonic (last id + 1), assigned in-process; appends are synchronous so
+//   concurrent requests can't interleave
+// - Segments rotate at segmentMaxBytes; old segments are never rewritten
+//   layout: <dir>/events-0000000001.ndjson, events-0000052311.ndjson, ...
+// - replicaDir (optional): every append is written there too. On start a missing/shorter
+//   primary segment is restored from the replica, and a lagging replica is caught up.
+// - Migration: when the store is empty, events from the old bot-events.json array are
+//   imported once (the JSON file is left untouched)
+// - Events stay on disk: memory holds a per-segment index (id / created_at span, counts) and the
+//   last few segments read (cacheSegments). scan() streams everything once (rollups on start),
+//   latest() pages newest-first and only opens the segments a range touches.
+// ──────────────────────────────────────────────
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+const SEGMENT_RE = /^events-(\d{10})\.ndjson$/;
+const DEFAULT_SEGMENT_MAX_BYTES = 8 * 1024 * 1024;
+const DEFAULT_CACHE_SEGMENTS = 2;
+
+function segmentName(firstId) {
+  return `events-${String(firstId).padStart(10, '0')}.ndjson`;
+}
+
+function listSegments(dir) {
+  if (!dir || !fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => SEGMENT_RE.test(f)).sort();
+}
+
+function fileSize(file) {
+  try {
+    return fs.statSync(file).size;
+  } catch {
+    return -1;
+  }
+}
+
+// Copy bytes [from, end) of src onto the end of dest
+function appendRange(src, dest, from) {
+  const buf = fs.readFileSync(src).subarray(from);
+  if (buf.length) fs.appendFileSync(dest, buf);
+}
+
+// Write a whole file via temp + rename so readers never see half of it
+function writeFileAtomic(file, data) {
+  const tmp = file + '.tmp-' + process.pid;
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, file);
+}
+
+function writeAll(fd, buf) {
+  let off = 0;
+  while (off < buf.length) off += fs.writeSync(fd, buf, off, buf.length - off);
+}
+
+function isDated(e) {
+  return typeof e.created_at === 'string';
+}
+
+function openEventStore({
+  dir,
+  replicaDir = null,
+  legacyFiles = [],
+  segmentMaxBytes = DEFAULT_SEGMENT_MAX_BYTES,
+  cacheSegments = DEFAULT_CACHE_SEGMENTS,
+  label = 'events'
+}) {
+  const emitter = new EventEmitter();
+  const index = []; // per segment, oldest first: { name, count, dated, firstAt, lastAt }
+  const cache = new Map(); // segment name → parsed events; Map order = least recently read first
+  let total = 0;
+  let lastId = 0;
+  let current = null; // open segment, see openSegment()
+
+  fs.mkdirSync(dir, { recursive: true });
+  if (replicaDir) fs.mkdirSync(replicaDir, { recursive: true });
+
+  // Primary segment missing or shorter than the replica → take the replica's copy
+  function restoreFromReplica() {
+    if (!replicaDir) return;
+    for (const name of listSegments(replicaDir)) {
+      const primary = path.join(dir, name);
+      const replica = path.join(replicaDir, name);
+      if (fileSize(replica) > fileSize(primary)) {
+        writeFileAtomic(primary, fs.readFileSync(replica));
+        console.log(`[${label}] Restored ${name} from replica`);
+      }
+    }
+  }
+
+  // Replica segment missing or shorter → append what it lacks
+  function catchUpReplica() {
+    if (!replicaDir) return;
+    for (const name of listSegments(dir)) {
+      const primary = path.join(dir, name);
+      const replica = path.join(replicaDir, name);
+      const have = Math.max(fileSize(replica), 0);
+      if (have < fileSize(primary)) {
+        try {
+          appendRange(primary, replica, have);
+        } catch (err) {
+          console.error(`[${label}] Replica catch-up failed for ${name}:`, err.message);
+        }
+      }
+    }
+  }
+
+  function parseSegment(name, { warn = false } = {}) {
+    const events = [];
+    let bad = 0;
+    for (const line of fs.readFileSync(path.join(dir, name), 'utf-8').split('\n')) {
+      if (!line) continue;
+      try {
+        events.push(JSON.parse(line));
+      } catch {
+        bad++;
+      }
+    }
+    if (bad && warn) console.warn(`[${label}] Skipped ${bad} unreadable line(s) in ${name}`);
+    return events;
+  }
+
+  // Events of one segment, oldest first (cached — don't mutate)
+  function readSegment(name) {
+    let events = cache.get(name);
+    if (events) {
+      cache.delete(name);
+    } else {
+      events = parseSegment(name);
+    }
+    cache.set(name, events);
+    while (cache.size > cacheSegments) cache.delete(cache.keys().next().value);
+    return events;
+  }
+
+  function indexEvent(entry, e) {
+    entry.count++;
+    total++;
+    if (e.id > lastId) lastId = e.id;
+    if (!isDated(e)) return;
+    entry.dated++;
+    if (entry.firstAt === null || e.created_at < entry.firstAt) entry.firstAt = e.created_at;
+    if (entry.lastAt === null || e.created_at > entry.lastAt) entry.lastAt = e.created_at;
+  }
+
+  // Index one segment; a torn last line (no trailing \n) is cut off
+  function loadSegment(name, isLast) {
+    const file = path.join(dir, name);
+    if (isLast) {
+      const raw = fs.readFileSync(file);
+      if (raw.length && raw[raw.length - 1] !== 0x0a) {
+        fs.truncateSync(file, raw.lastIndexOf(0x0a) + 1);
+        console.warn(`[${label}] Dropped torn last line in ${name}`);
+      }
+    }
+    const entry = { name, count: 0, dated: 0, firstAt: null, lastAt: null };
+    for (const e of parseSegment(name, { warn: true })) indexEvent(entry, e);
+    index.push(entry);
+  }
+
+  function migrateLegacy() {
+    const source = legacyFiles.find(f => f && fs.existsSync(f) && fs.readFileSync(f, 'utf-8').trim() !== '');
+    if (!source) return;
+    let arr;
+    try {
+      arr = JSON.parse(fs.readFileSync(source, 'utf-8'));
+    } catch (err) {
+      console.warn(`[${label}] Could not migrate ${source}:`, err.message);
+      return;
+    }
+    if (!Array.isArray(arr) || arr.length === 0) return;
+    // Keep existing ids (sorted); give id-less rows the next free one
+    let next = arr.reduce((m, e) => Math.max(m, Number(e && e.id) || 0), 0);
+    const rows = arr
+      .filter(e => e && typeof e === 'object')
+      .map(e => (Number(e.id) > 0 ? e : { ...e, id: ++next }))
+      .sort((a, b) => a.id - b.id);
+    const name = segmentName(rows[0].id);
+    writeFileAtomic(path.join(dir, name), rows.map(e => JSON.stringify(e)).join('\n') + '\n');
+    console.log(`[${label}] Migrated ${rows.length} events from ${source}`);
+  }
+
+  // ──────── flush (group commit) ────────
+  function syncedFds(seg) {
+    return seg.replicaFd != null && !seg.replicaFailed ? [seg.fd, seg.replicaFd] : [seg.fd];
+  }
+
+  function closeFds(seg) {
+    if (seg.closed) return;
+    seg.closed = true;
+    try { fs.closeSync(seg.fd); } catch (_) {}
+    if (seg.replicaFd != null) {
+      try { fs.closeSync(seg.replicaFd); } catch (_) {}
+    }
+  }
+
+  function flush(seg) {
+    seg.scheduled = false;
+    if (seg.closed || seg.syncing || !seg.dirty) return;
+    seg.dirty = false;
+    seg.syncing = true;
+    const fds = syncedFds(seg);
+    let pending = fds.length;
+    for (const fd of fds) {
+      fs.fdatasync(fd, err => {
+        if (err) console.error(`[${label}] fdatasync error (${seg.name}):`, err.message);
+        if (--pending) return;
+        seg.syncing = false;
+        if (seg.dirty) flush(seg);
+        else if (seg.retired) closeFds(seg);
+      });
+    }
+  }
+
+  function markDirty(seg) {
+    seg.dirty = true;
+    if (seg.syncing || seg.scheduled) return; // the running flush picks it up
+    seg.scheduled = true;
+    setImmediate(flush, seg);
+  }
+
+  // Rotated out: fds stay open until its pending flush is done
+  function retire(seg) {
+    seg.retired = true;
+    if (!seg.dirty && !seg.syncing) closeFds(seg);
+  }
+
+  // close(): flush what's left synchronously
+  function closeCurrent() {
+    if (!current) return;
+    const seg = current;
+    current = null;
+    if (seg.dirty) {
+      seg.dirty = false;
+      for (const fd of syncedFds(seg)) {
+        try { fs.fdatasyncSync(fd); } catch (_) {}
+      }
+    }
+    retire(seg);
+  }
+
+  function openSegment(name) {
+    if (current) retire(current);
+    if (!index.length || index[index.length - 1].name !== name) index.push({ name, count: 0, dated: 0, firstAt: null, lastAt: null });
+    const file = path.join(dir, name);
+    current = {
+      name,
+      size: Math.max(fileSize(file), 0),
+      fd: fs.openSync(file, 'a'),
+      replicaFd: null,
+      replicaSize: 0,
+      replicaFailed: false,
+      dirty: false, // written since the last fdatasync started
+      syncing: false,
+      scheduled: false,
+      retired: false,
+      closed: false
+    };
+    if (replicaDir) {
+      try {
+        const replica = path.join(replicaDir, name);
+        current.replicaSize = Math.max(fileSize(replica), 0);
+        current.replicaFd = fs.openSync(replica, 'a');
+      } catch (err) {
+        console.error(`[${label}] Replica open failed:`, err.message);
+      }
+    }
+  }
+
+  // ──────── open ────────
+  restoreFromReplica();
+  if (listSegments(dir).length === 0) migrateLegacy();
+  const segments = listSegments(dir);
+  segments.forEach((name, i) => loadSegment(name, i === segments.length - 1));
+  catchUpReplica();
+  openSegment(segments.length ? segments[segments.length - 1] : segmentName(1));
+
+  // Append one event; returns the stored record (with id)
+  function append(record) {
+    const event = { id: lastId + 1, ...record };
+    const buf = Buffer.from(JSON.stringify(event) + '\n');
+    if (current.size > 0 && current.size + buf.length > segmentMaxBytes) openSegment(segmentName(event.id));
+    try {
+      writeAll(current.fd, buf);
+    } catch (err) {
+      // ENOSPC / EIO halfway through: cut the partial line so the next append starts clean
+      try { fs.ftruncateSync(current.fd, current.size); } catch (_) {}
+      throw err;
+    }
+    current.size += buf.length;
+    indexEvent(index[index.length - 1], event);
+    const cached = cache.get(current.name);
+    if (cached) cached.push(event);
+    if (current.replicaFd != null && !current.replicaFailed) {
+      try {
+        writeAll(current.replicaFd, buf);
+        current.replicaSize += buf.length;
+      } catch (err) {
+        // Keep the replica an exact prefix of the primary and stop writing it for this segment —
+        // it is caught up from the primary on next start
+        console.error(`[${label}] Replica write error:`, err.message);
+        try { fs.ftruncateSync(current.replicaFd, current.replicaSize); } catch (_) {}
+        current.replicaFailed = true;
+      }
+    }
+    markDirty(current);
+    emitter.emit('append', event);
+    return event;
+  }
+
+  // Every event, oldest first, read segment by segment (the cache is left alone)
+  function scan(fn) {
+    for (const { name, count } of index) {
+      if (!count) continue;
+      for (const e of cache.get(name) || parseSegment(name)) fn(e);
+    }
+  }
+
+  // Newest-first page of the events with from <= created_at < to (ISO strings, null = open end).
+  // filter() skips rows without counting them; total is every event in range.
+  function latest(range, { limit, offset = 0, filter = null }) {
+    const { from, to } = range;
+    const rows = [];
+    let skip = offset;
+    let inRange = 0;
+    for (let i = index.length - 1; i >= 0; i--) {
+      const seg = index[i];
+      if (!seg.dated || (to && seg.firstAt >= to) || (from && seg.lastAt < from)) continue;
+      // Page already full and the whole segment is in range: its count is enough
+      if (rows.length >= limit && (!from || seg.firstAt >= from) && (!to || seg.lastAt < to)) {
+        inRange += seg.dated;
+        continue;
+      }
+      const events = readSegment(seg.name);
+      for (let j = events.length - 1; j >= 0; j--) {
+        const e = events[j];
+        if (!isDated(e) || (from && e.created_at < from) || (to && e.created_at >= to)) continue;
+        inRange++;
+        if (rows.length >= limit || (filter && !filter(e))) continue;
+        if (skip > 0) { skip--; continue; }
+        rows.push(e);
+      }
+    }
+    return { rows, total: inRange };
+  }
+
+  function status() {
+    return {
+      dir,
+      replicaDir,
+      events: total,
+      lastId,
+      cachedSegments: [...cache.keys()],
+      segments: listSegments(dir).map(name => ({ name, bytes: fileSize(path.join(dir, name)) }))
+    };
+  }
+
+  return {
+    append,
+    scan,
+    latest,
+    count: () => total,
+    lastId: () => lastId,
+    status,
+    close: closeCurrent,
+    on: emitter.on.bind(emitter)
+  };
+}
+
+module.exports = { openEventStore };
@@ -0,0 +1,113 @@
+// ──────────────────────────────────────────────
+// Canonical game model — what every games API returns
+//   uid            'provider:key' (globally unique; same form as the search index / stats)
+//   provider, providerName, key (string)
+//   name, names    { en, th?, ... } localized names
+//   category       provider's own category label; globalCategory slot|fishing|baccarat|other|null
+//   image, playUrl
+//   flags          { new, hot, recommended, featured }
+//   tags, rtp, volatility, lines, releaseDate — null/[] when the provider doesn't say
+//   raw            the provider record as loaded (provider-specific fields live here)
+// Generic fields are read from the raw record; a provider module can map its own fields
+// with gameFields(raw) → partial canonical fields (e.g. Joker's isHot → flags.hot).
+// ──────────────────────────────────────────────
+
+// ──────── Global category (data/categories-map.json) ────────
+// Providers without an entry in providerMaps fall back to defaultProviderMap
+function providerCategoryMap(map, providerId) {
+  return (map.providerMaps && map.providerMaps[providerId]) || map.defaultProviderMap || null;
+}
+
+function toGlobalCategory(map, providerId, rawCategory, gameName) {
+  const providerMap = providerCategoryMap(map, providerId);
+  if (!providerMap || !rawCategory) return null;
+  const normalized = String(rawCategory).trim();
+  let out = providerMap[normalized];
+  if (out === undefined) {
+    // Scraped category casing drifts ("SLOT", "slot") — fall back to a case-insensitive match
+    const lower = normalized.toLowerCase();
+    const hit = Object.keys(providerMap).find(k => k.toLowerCase() === lower);
+    if (hit) out = providerMap[hit];
+  }
+  if (out === 'byName' && map.jiliByName && gameName) {
+    const name = String(gameName).trim();
+    for (const [key, val] of Object.entries(map.jiliByName)) {
+      if (name === key || name.includes(key)) return val;
+    }
+    return 'other';
+  }
+  if (out === 'table' || out === 'bingo') return 'other';
+  return out || null;
+}
+
+// ──────── Field readers ────────
+function num(...values) {
+  for (const v of values) {
+    if (v == null || v === '') continue;
+    const n = typeof v === 'number' ? v : parseFloat(String(v).replace('%', ''));
+    if (Number.isFinite(n)) return n;
+  }
+  return null;
+}
+
+function str(...values) {
+  for (const v of values) {
+    if (typeof v === 'string' && v.trim()) return v.trim();
+  }
+  return null;
+}
+
+// Protocol-relative image URLs (//cdn…) → https
+function imageUrl(v) {
+  if (typeof v !== 'string' || !v) return '';
+  return v.startsWith('//') ? 'https:' + v : v;
+}
+
+function namesOf(g, name) {
+  const names = { en: name };
+  if (g.names && typeof g.names === 'object') {
+    for (const [lang, v] of Object.entries(g.names)) if (typeof v === 'string' && v.trim()) names[lang] = v.trim();
+  }
+  const th = str(g.name_th, g.nameTh);
+  if (th) names.th = th;
+  return names;
+}
+
+// ctx: { providerName, categoriesMap, featured (Set of raw keys), isNew(key) }
+function toCanonical(mod, g, ctx = {}) {
+  const key = String(g[mod.keyField]);
+  const name = str(g.name) || key;
+  const base = {
+    uid: `${mod.id}:${key}`,
+    provider: mod.id,
+    providerName: ctx.providerName || mod.displayName || mod.id,
+    key,
+    name,
+    names: namesOf(g, name),
+    category: str(g.category),
+    globalCategory: ctx.categoriesMap ? toGlobalCategory(ctx.categoriesMap, mod.id, g.category, name) : null,
+    image: imageUrl(g.image),
+    playUrl: mod.playUrl(g),
+    flags: {
+      new: ctx.isNew ? !!ctx.isNew(key) : false,
+      hot: false,
+      recommended: false,
+      featured: !!(ctx.featured && ctx.featured.has(g[mod.keyField]))
+    },
+    tags: Array.isArray(g.tags) ? g.tags.filter(t => typeof t === 'string') : [],
+    rtp: num(g.rtp, g.RTP),
+    volatility: str(g.volatility),
+    lines: num(g.lines, g.paylines, g.ways),
+    releaseDate: str(g.releaseDate, g.release_date)
+  };
+  const extra = typeof mod.gameFields === 'function' ? mod.gameFields(g) || {} : {};
+  return {
+    ...base,
+    ...extra,
+    flags: { ...base.flags, ...extra.flags },
+    tags: extra.tags ? [...new Set([...base.tags, ...extra.tags])] : base.tags,
+    raw: g
+  };
+}
+
+module.exports = { toCanonical, toGlobalCategory };
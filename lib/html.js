@@ -0,0 +1,123 @@
+// ──────────────────────────────────────────────
+// Server-rendered HTML helpers
+// ──────────────────────────────────────────────
+
+function escapeHtml(s) {
+  if (typeof s !== 'string') return '';
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Full-screen demo page: top bar (back + name + DEMO badge) and the game in an iframe
+function renderPlayerPage({ gameName, label, backHref, src, sandbox, loadingText, background = '#0d0d0d' }) {
+  return `<!DOCTYPE html>
+<html lang="th"><head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width,initial-scale=1,maximum-scale=1,user-scalable=no,viewport-fit=cover">
+<title>${escapeHtml(gameName)} - ${escapeHtml(label)} Demo</title>
+<style>
+*{margin:0;padding:0;box-sizing:border-box}
+html,body{width:100%;height:100%;overflow:hidden;background:${background};font-family:system-ui,sans-serif}
+.bar{position:fixed;top:0;left:0;right:0;z-index:100;display:flex;align-items:center;gap:10px;padding:8px 12px;
+  background:rgba(13,13,13,0.92);backdrop-filter:blur(10px);-webkit-backdrop-filter:blur(10px);
+  border-bottom:1px solid rgba(255,215,0,0.15)}
+.bar a{width:36px;height:36px;border-radius:50%;background:rgba(255,255,255,0.08);display:flex;align-items:center;
+  justify-content:center;text-decoration:none;flex-shrink:0}
+.bar a svg{width:18px;height:18px;fill:#e8e8e8}
+.bar .name{color:#e8e8e8;font-size:14px;font-weight:600;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
+.bar .badge{background:linear-gradient(135deg,#FFD700,#FF8C00);color:#000;font-size:9px;font-weight:700;
+  padding:2px 8px;border-radius:10px;flex-shrink:0}
+iframe{position:fixed;top:52px;left:0;right:0;bottom:0;width:100%;height:calc(100% - 52px);border:none;background:${background}}
+.loading{position:fixed;top:52px;left:0;right:0;bottom:0;display:flex;flex-direction:column;align-items:center;
+  justify-content:center;background:${background};color:rgba(255,255,255,0.6);font-size:14px;z-index:50}
+.spinner{width:40px;height:40px;border:3px solid rgba(255,255,255,0.1);border-top-color:#FFD700;
+  border-radius:50%;animation:spin .8s linear infinite;margin-bottom:16px}
+@keyframes spin{to{transform:rotate(360deg)}}
+</style>
+</head><body>
+<div class="bar">
+  <a href="${escapeHtml(backHref)}"><svg viewBox="0 0 24 24"><path d="M20 11H7.83l5.59-5.59L12 4l-8 8 8 8 1.41-1.41L7.83 13H20v-2z"/></svg></a>
+  <span class="name">${escapeHtml(gameName)}</span>
+  <span class="badge">DEMO</span>
+</div>
+<div class="loading" id="loader"><div class="spinner"></div>${escapeHtml(loadingText || 'กำลังโหลดเกม...')}</div>
+<iframe src="${escapeHtml(src)}" allow="autoplay; fullscreen" allowfullscreen
+${sandbox ? `  sandbox="${escapeHtml(sandbox)}"\n` : ''}  referrerpolicy="no-referrer"
+  onload="document.getElementById('loader').style.display='none'"></iframe>
+</body></html>`;
+}
+
+// Shown instead of a raw JSON error when a proxied game page fails to open
+function renderProxyErrorPage({ title, detail, backHref, meta }) {
+  return `<!doctype html>
+<html lang="th"><head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width,initial-scale=1,maximum-scale=1,user-scalable=no,viewport-fit=cover">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    *{box-sizing:border-box}html,body{height:100%}body{margin:0;background:#0b0b12;color:#fff;font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;display:flex;align-items:center;justify-content:center;padding:20px}
+    .card{max-width:520px;width:100%;background:rgba(255,255,255,0.06);border:1px solid rgba(255,215,0,0.18);border-radius:16px;padding:22px 18px;text-align:center}
+    .icon{font-size:44px;line-height:1;margin-bottom:10px}
+    h1{font-size:18px;margin:0 0 8px}
+    p{margin:0 0 14px;color:rgba(255,255,255,0.72);font-size:13px;line-height:1.5;word-break:break-word}
+    .btns{display:flex;gap:10px;justify-content:center;flex-wrap:wrap;margin-top:6px}
+    a{display:inline-flex;align-items:center;justify-content:center;gap:8px;text-decoration:none;border-radius:12px;padding:10px 14px;font-weight:700}
+    .primary{background:linear-gradient(135deg,#FFD700,#FF8C00);color:#000}
+    .ghost{background:rgba(255,255,255,0.08);color:#fff;border:1px solid rgba(255,255,255,0.10)}
+    .meta{margin-top:12px;font-size:12px;color:rgba(255,255,255,0.45)}
+  </style>
+</head><body>
+  <div class="card">
+    <div class="icon">⚠️</div>
+    <h1>${escapeHtml(title)}</h1>
+    <p>${escapeHtml(detail)}</p>
+    <div class="btns">
+      <a class="primary" href="${escapeHtml(backHref)}">กลับไปเลือกเกม</a>
+      <a class="ghost" href="javascript:location.reload()">ลองโหลดใหม่</a>
+    </div>
+    <div class="meta">${escapeHtml(meta || '')}</div>
+  </div>
+</body></html>`;
+}
+
+// Admin login: username/password form, plus the Telegram Login Widget when a bot username is known
+function renderAdminLoginPage({ error, next = '/admin', telegramBot }) {
+  return `<!DOCTYPE html>
+<html lang="th"><head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>เข้าสู่ระบบแอดมิน — Co168</title>
+<style>
+*{box-sizing:border-box}
+body{margin:0;min-height:100vh;display:flex;align-items:center;justify-content:center;background:#0f1419;
+  color:#e6edf3;font-family:'Outfit',system-ui,sans-serif}
+.box{width:100%;max-width:340px;padding:1.75rem;background:#1a2332;border:1px solid #2d3a4d;border-radius:12px}
+h1{font-size:1.25rem;margin:0 0 1.25rem}
+label{display:block;font-size:.8125rem;color:#8b9cb6;margin:.75rem 0 .25rem}
+input{width:100%;padding:.6rem .75rem;border-radius:8px;border:1px solid #2d3a4d;background:#0f1419;color:#e6edf3;font:inherit}
+button{width:100%;margin-top:1.25rem;padding:.65rem;border:none;border-radius:8px;background:#f59e0b;color:#000;
+  font:inherit;font-weight:600;cursor:pointer}
+.error{margin:0 0 .75rem;padding:.5rem .75rem;border-radius:8px;background:rgba(239,68,68,.15);color:#ef4444;font-size:.875rem}
+.or{margin:1.25rem 0 .75rem;text-align:center;color:#8b9cb6;font-size:.8125rem}
+.tg{display:flex;justify-content:center}
+</style>
+</head><body>
+<div class="box">
+  <h1>🔐 แอดมิน Co168</h1>
+  ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+  <form method="post" action="/admin/login">
+    <input type="hidden" name="next" value="${escapeHtml(next)}">
+    <label for="username">ชื่อผู้ใช้</label>
+    <input id="username" name="username" autocomplete="username" required autofocus>
+    <label for="password">รหัสผ่าน</label>
+    <input id="password" name="password" type="password" autocomplete="current-password" required>
+    <button type="submit">เข้าสู่ระบบ</button>
+  </form>
+${telegramBot ? `  <div class="or">หรือ</div>
+  <div class="tg"><script async src="https://telegram.org/js/telegram-widget.js?22" data-telegram-login="${escapeHtml(telegramBot)}"
+    data-size="large" data-auth-url="/admin/auth/telegram?next=${encodeURIComponent(next)}" data-request-access="write"></script></div>
+` : ''}</div>
+</body></html>`;
+}
+
+module.exports = { escapeHtml, renderPlayerPage, renderProxyErrorPage, renderAdminLoginPage };
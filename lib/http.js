@@ -0,0 +1,199 @@
+// ──────────────────────────────────────────────
+// Outbound HTTP client — every request the server and the scripts make to the outside goes here
+//   request(url, opts) → { statusCode, headers, body, url (after redirects), redirects }
+//     method, headers (merged over browser-like defaults), body (string / Buffer)
+//     followRedirects  max hops to follow (default 0: a 3xx is returned as-is)
+//     retries          extra attempts after a connect error / timeout / 502-504 (default 2 for GET/HEAD, else 0)
+//     timeoutMs        per attempt (default: per host, see below)
+//     responseType     'text' (default) | 'buffer' | 'stream' (body is the response stream; only the
+//                      attempt that gets headers counts, the caller consumes / resumes it)
+//   connectOptions(host) → { via, agent, rejectUnauthorized } for callers that run their own
+//     https.request / WebSocket (reverse proxies, WS relay); call via.done(err?) when it's settled
+// The proxy is picked per host from the outbound routing table (lib/outbound-routes.js) and a
+// failing proxy is swapped for the route's next one within the same attempt.
+// TLS certificates are verified except for hosts listed in OUTBOUND_TLS_INSECURE_HOSTS.
+// Timeouts: OUTBOUND_TIMEOUT_MS (15000), per host OUTBOUND_HOST_TIMEOUTS=jiligames.com=18000,ipinfo.io=5000
+// Every request is logged as one JSON line ([HTTP] {...}); OUTBOUND_LOG=errors | off to quiet it.
+// ──────────────────────────────────────────────
+const https = require('https');
+const http = require('http');
+const { createOutboundRouter, routesFromEnv, isTransportError, failOnProxyRefusal } = require('./outbound-routes');
+
+const DEFAULT_TIMEOUT_MS = Number(process.env.OUTBOUND_TIMEOUT_MS) || 15000;
+const RETRY_BASE_MS = 400;
+const RETRY_STATUSES = new Set([502, 503, 504]);
+const LOG_MODE = process.env.OUTBOUND_LOG || 'all';
+
+const BROWSER_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Linux; Android 13) AppleWebKit/537.36',
+  'Accept': 'text/html,*/*',
+  'Accept-Language': 'en-US,en;q=0.9',
+};
+
+// "a.com,b.net" → ['a.com', 'b.net']
+function hostList(value) {
+  return String(value || '').split(',').map(h => h.trim().toLowerCase().replace(/^\*\./, '')).filter(Boolean);
+}
+
+function matchesHost(host, domain) {
+  return host === domain || host.endsWith('.' + domain);
+}
+
+const TLS_INSECURE_HOSTS = hostList(process.env.OUTBOUND_TLS_INSECURE_HOSTS);
+
+// jiligames.com resolves through a slow regional proxy — give it longer
+const HOST_TIMEOUTS = new Map([['jiligames.com', 18000]]);
+for (const pair of String(process.env.OUTBOUND_HOST_TIMEOUTS || '').split(',')) {
+  const [host, ms] = pair.split('=').map(s => (s || '').trim());
+  if (host && Number(ms) > 0) HOST_TIMEOUTS.set(host.toLowerCase().replace(/^\*\./, ''), Number(ms));
+}
+
+function tlsVerify(host) {
+  const h = String(host || '').toLowerCase();
+  return !TLS_INSECURE_HOSTS.some(d => matchesHost(h, d));
+}
+
+const outbound = createOutboundRouter(routesFromEnv(), {
+  healthIntervalMs: (process.env.OUTBOUND_HEALTH_INTERVAL_SEC ? Number(process.env.OUTBOUND_HEALTH_INTERVAL_SEC) || 0 : 60) * 1000,
+  tlsVerify
+});
+
+function timeoutFor(host) {
+  const h = String(host || '').toLowerCase();
+  let best = null;
+  for (const [domain, ms] of HOST_TIMEOUTS) {
+    if (matchesHost(h, domain) && (!best || domain.length > best.length)) best = domain;
+  }
+  return best ? HOST_TIMEOUTS.get(best) : DEFAULT_TIMEOUT_MS;
+}
+
+// Pooled connections for hosts that go out directly (proxied ones pool inside their proxy agent)
+const directAgent = new https.Agent({ keepAlive: true, maxSockets: 64 });
+const directHttpAgent = new http.Agent({ keepAlive: true, maxSockets: 16 });
+
+function connectOptions(host, { exclude } = {}) {
+  const via = outbound.select(host, { exclude });
+  if (!via) return null;
+  return { via, agent: via.agent || directAgent, rejectUnauthorized: tlsVerify(host) };
+}
+
+function logRequest(entry) {
+  if (LOG_MODE === 'off') return;
+  if (LOG_MODE === 'errors' && !entry.error && entry.status < 500) return;
+  const line = '[HTTP] ' + JSON.stringify(entry);
+  if (entry.error) console.warn(line);
+  else console.log(line);
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// One attempt at one URL, with proxy failover inside the route
+function attemptOnce(u, { method, headers, body, timeoutMs, responseType }) {
+  const secure = u.protocol === 'https:';
+  const idempotent = method === 'GET' || method === 'HEAD';
+  return outbound.withFailover(u.hostname, via => new Promise((resolve, reject) => {
+    const opts = {
+      hostname: u.hostname,
+      port: u.port || undefined,
+      path: u.pathname + u.search,
+      method,
+      headers
+    };
+    if (secure) {
+      opts.agent = via.agent || directAgent;
+      opts.rejectUnauthorized = tlsVerify(u.hostname);
+    } else {
+      opts.agent = directHttpAgent; // plain http is only used for local tooling; never proxied
+    }
+    const req = (secure ? https : http).request(opts, (res) => {
+      if (responseType === 'stream') return resolve({ res, via: via.via });
+      const chunks = [];
+      res.on('data', c => chunks.push(c));
+      res.on('end', () => {
+        const buf = Buffer.concat(chunks);
+        resolve({ res, via: via.via, body: responseType === 'buffer' ? buf : buf.toString('utf-8') });
+      });
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+    failOnProxyRefusal(req);
+    req.setTimeout(timeoutMs, () => req.destroy(new Error('Timeout')));
+    if (body !== null) req.end(body);
+    else req.end();
+  }), { idempotent });
+}
+
+async function request(targetUrl, {
+  method = 'GET',
+  headers = {},
+  body = null,
+  followRedirects = 0,
+  retries,
+  timeoutMs,
+  responseType = 'text'
+} = {}) {
+  const idempotent = method === 'GET' || method === 'HEAD';
+  const maxRetries = retries !== undefined ? retries : (idempotent ? 2 : 0);
+  const allHeaders = { ...BROWSER_HEADERS, ...headers };
+  if (body !== null && allHeaders['Content-Length'] === undefined) allHeaders['Content-Length'] = Buffer.byteLength(body);
+
+  let url = new URL(targetUrl);
+  let redirects = 0;
+  for (;;) {
+    let result;
+    for (let attempt = 0; ; attempt++) {
+      const startedAt = Date.now();
+      const entry = { method, host: url.host, path: (url.pathname + url.search).substring(0, 120), attempt: attempt + 1 };
+      try {
+        result = await attemptOnce(url, {
+          method, headers: allHeaders, body, responseType,
+          timeoutMs: timeoutMs || timeoutFor(url.hostname)
+        });
+      } catch (err) {
+        logRequest({ ...entry, error: err.message, ms: Date.now() - startedAt });
+        if (attempt < maxRetries && isTransportError(err)) {
+          await sleep(RETRY_BASE_MS * 2 ** attempt + Math.floor(Math.random() * RETRY_BASE_MS));
+          continue;
+        }
+        throw err;
+      }
+      const status = result.res.statusCode;
+      logRequest({ ...entry, status, ms: Date.now() - startedAt, via: result.via });
+      if (attempt < maxRetries && RETRY_STATUSES.has(status)) {
+        result.res.resume();
+        await sleep(RETRY_BASE_MS * 2 ** attempt + Math.floor(Math.random() * RETRY_BASE_MS));
+        continue;
+      }
+      break;
+    }
+
+    const { res } = result;
+    if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects < followRedirects) {
+      res.resume();
+      url = new URL(res.headers.location, url);
+      redirects++;
+      // 303 (and 301/302 on a POST, like browsers do) continue as a body-less GET
+      if (res.statusCode === 303 || (method === 'POST' && res.statusCode !== 307 && res.statusCode !== 308)) {
+        method = 'GET';
+        body = null;
+        delete allHeaders['Content-Length'];
+      }
+      continue;
+    }
+
+    return {
+      statusCode: res.statusCode,
+      headers: res.headers,
+      body: responseType === 'stream' ? res : result.body,
+      url: url.href,
+      redirects
+    };
+  }
+}
+
+module.exports = {
+  outbound,
+  request,
+  connectOptions,
+  tlsVerify
+};
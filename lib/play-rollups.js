@@ -0,0 +1,128 @@
+// ──────────────────────────────────────────────
+// Game launch rollups ("most played" for /admin)
+// Play events: { provider, key, game, ok, error?, latency_ms, created_at } — one per /play/:provider/:key
+// Each hour/day bucket (lib/time-buckets.js) holds per-game and per-provider launch counts,
+// failures and resolve latency. Built once from the event store (scan); only the last
+// RECENT_FAILURES failed launches are kept as events (recentFailures).
+// ──────────────────────────────────────────────
+const { DEFAULT_TZ } = require('./tz');
+const { createTimeBuckets } = require('./time-buckets');
+
+const RECENT_FAILURES = 1000;
+
+function emptyBucket() {
+  return { plays: 0, failures: 0, games: new Map(), providers: {} };
+}
+
+function emptyCounts() {
+  return { plays: 0, failures: 0, latencySum: 0, latencyCount: 0 };
+}
+
+function addCounts(c, plays, failures, latencySum, latencyCount) {
+  c.plays += plays;
+  c.failures += failures;
+  c.latencySum += latencySum;
+  c.latencyCount += latencyCount;
+}
+
+function addToBucket(b, e) {
+  const failed = e.ok ? 0 : 1;
+  const hasLatency = Number.isFinite(e.latency_ms) ? 1 : 0;
+  const latency = hasLatency ? e.latency_ms : 0;
+  b.plays++;
+  b.failures += failed;
+  const uid = `${e.provider}:${e.key}`;
+  if (!b.games.has(uid)) b.games.set(uid, emptyCounts());
+  addCounts(b.games.get(uid), 1, failed, latency, hasLatency);
+  if (!b.providers[e.provider]) b.providers[e.provider] = emptyCounts();
+  addCounts(b.providers[e.provider], 1, failed, latency, hasLatency);
+}
+
+function summarize(c) {
+  return {
+    plays: c.plays,
+    failures: c.failures,
+    successRate: c.plays ? Math.round((1 - c.failures / c.plays) * 1000) / 10 : null,
+    avgLatencyMs: c.latencyCount ? Math.round(c.latencySum / c.latencyCount) : null
+  };
+}
+
+// store: lib/event-store.js (scan)
+function createPlayRollups(store, { tz: defaultTz = DEFAULT_TZ } = {}) {
+  const buckets = createTimeBuckets({ tz: defaultTz, empty: emptyBucket, add: addToBucket });
+  const names = new Map(); // 'provider:key' → last seen game name
+  const failed = []; // last failed launches, oldest first
+
+  function index(e) {
+    if (!e || !e.provider || e.key == null || !buckets.insert(e)) return false;
+    if (e.game) names.set(`${e.provider}:${e.key}`, e.game);
+    if (!e.ok) {
+      failed.push(e);
+      if (failed.length > RECENT_FAILURES) failed.shift();
+    }
+    return true;
+  }
+
+  function add(e) {
+    index(e);
+  }
+
+  // Newest failures in range (provider: only that provider's)
+  function recentFailures(range, provider, limit) {
+    const rows = [];
+    for (let i = failed.length - 1; i >= 0 && rows.length < limit; i--) {
+      const e = failed[i];
+      if ((range.from && e.created_at < range.from) || (range.to && e.created_at >= range.to)) continue;
+      if (!provider || e.provider === provider) rows.push(e);
+    }
+    return rows;
+  }
+
+  // provider: only that provider's games; limit: top N games
+  function stats(range, { tz = defaultTz, provider = null, limit = 20 } = {}) {
+    const games = new Map();
+    const providers = {};
+    const byDayMap = {};
+    let plays = 0;
+    let failures = 0;
+    for (const [day, b] of buckets.bucketsFor(range, tz)) {
+      for (const [uid, c] of b.games) {
+        if (provider && !uid.startsWith(provider + ':')) continue;
+        if (!games.has(uid)) games.set(uid, emptyCounts());
+        addCounts(games.get(uid), c.plays, c.failures, c.latencySum, c.latencyCount);
+        plays += c.plays;
+        failures += c.failures;
+        byDayMap[day] = (byDayMap[day] || 0) + c.plays;
+      }
+      for (const [id, c] of Object.entries(b.providers)) {
+        if (provider && id !== provider) continue;
+        if (!providers[id]) providers[id] = emptyCounts();
+        addCounts(providers[id], c.plays, c.failures, c.latencySum, c.latencyCount);
+      }
+    }
+    const topGames = [...games.entries()]
+      .sort((a, b) => b[1].plays - a[1].plays || a[1].failures - b[1].failures)
+      .slice(0, limit)
+      .map(([uid, c]) => {
+        const i = uid.indexOf(':');
+        return { provider: uid.slice(0, i), key: uid.slice(i + 1), name: names.get(uid) || null, ...summarize(c) };
+      });
+    return {
+      plays,
+      failures,
+      distinctGames: games.size,
+      byProvider: Object.entries(providers)
+        .map(([id, c]) => ({ provider: id, ...summarize(c) }))
+        .sort((a, b) => b.plays - a.plays),
+      byDay: Object.keys(byDayMap).sort().map(date => ({ date, count: byDayMap[date] })),
+      topGames,
+      recentFailures: recentFailures(range, provider, 20)
+    };
+  }
+
+  store.scan(index);
+
+  return { add, stats };
+}
+
+module.exports = { createPlayRollups };
@@ -0,0 +1,54 @@
+// ──────────────────────────────────────────────
+// Shared helpers for provider modules
+// ──────────────────────────────────────────────
+const path = require('path');
+const fs = require('fs');
+const { checkGames, quarantine } = require('../catalog-guard');
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+// Read data/<gamesFile>, falling back to data/<seedFile> when missing, unreadable or
+// rejected by the catalog guard (guard = the provider module; previousCount = games
+// currently served, for the shrink check).
+// strict: throw instead of falling back when gamesFile exists but is broken
+// (the catalog store then keeps serving its last good copy).
+function loadGamesFile(gamesFile, seedFile, { strict = false, guard = null, previousCount = null } = {}) {
+  const gamesPath = path.join(DATA_DIR, gamesFile);
+  const seedPath = path.join(DATA_DIR, seedFile);
+
+  try {
+    if (fs.existsSync(gamesPath)) {
+      const parsed = JSON.parse(fs.readFileSync(gamesPath, 'utf-8'));
+      if (!Array.isArray(parsed)) throw new Error(`${gamesFile} is not an array`);
+      const reasons = guard ? checkGames(guard, parsed, { previousCount }) : [];
+      if (reasons.length) {
+        quarantine(guard, parsed, { reasons, source: gamesFile });
+        throw new Error(`${gamesFile} rejected: ${reasons.join('; ')}`);
+      }
+      return parsed;
+    }
+  } catch (err) {
+    if (strict) throw err;
+    console.warn(`Failed to load ${gamesFile}, falling back to seed data:`, err.message);
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(seedPath, 'utf-8'));
+  } catch (err) {
+    console.error(`Failed to load ${seedFile}:`, err.message);
+    return [];
+  }
+}
+
+function readJsonFile(file, fallback, { strict = false } = {}) {
+  const filePath = path.join(DATA_DIR, file);
+  try {
+    if (fs.existsSync(filePath)) return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    if (strict) throw err;
+    console.warn(`Failed to load ${file}:`, err.message);
+  }
+  return fallback;
+}
+
+module.exports = { DATA_DIR, loadGamesFile, readJsonFile };
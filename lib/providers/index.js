@@ -0,0 +1,80 @@
+// ──────────────────────────────────────────────
+// Provider registry
+// Providers are discovered from data/providers.json; each entry with a module in
+// lib/providers/<id>.js becomes playable. A provider module exports:
+//   id          — same as the providers.json id
+//   keyField    — identity field on a game record ('id' | 'slug' | 'code' | 'game_id')
+//   dataFiles   — data/*.json files loadGames() reads (the catalog store watches these)
+//   loadGames({ strict, previousCount }) — returns the raw game array; strict throws on a broken
+//                 file or one the catalog guard rejects (lib/catalog-guard.js)
+//   playUrl(g)  — launch URL for a game (/play/<id>/<key>)
+//   resolve(key, { games }) — async → { proxyPath } (redirect) | { demoUrl, gameName } (iframe page) | { error }
+//   categories  — catalog tabs [{ key, label }], first one is 'all'
+//   logo, displayName
+// Optional: featuredFile (default <id>-featured.json), player (iframe page options), errorHint(msg),
+//   resolveTtlSec — how long a resolved launch URL may be reused (lib/resolve-cache.js),
+//   sync — { script, schedule } scraper run by the catalog sync job (lib/catalog-sync.js),
+//   minGames — the catalog guard rejects a smaller list,
+//   gameFields(raw) — provider-specific fields → canonical game fields (lib/game-model.js),
+//   proxy — { prefix, wsPrefix, domains, wsDomains, leakedPaths, documentJson } mounts a reverse proxy (lib/reverse-proxy.js)
+// ──────────────────────────────────────────────
+const path = require('path');
+const fs = require('fs');
+const { DATA_DIR, readJsonFile } = require('./common');
+
+const _modules = {};
+
+function loadProviders() {
+  const providersPath = path.join(DATA_DIR, 'providers.json');
+  try {
+    return JSON.parse(fs.readFileSync(providersPath, 'utf-8'));
+  } catch (err) {
+    console.error('Failed to load providers.json:', err.message);
+    return [];
+  }
+}
+
+// Provider module by id/slug, or null when no module ships for it yet
+function getProvider(id) {
+  const key = String(id || '').toLowerCase();
+  if (!/^[a-z0-9_-]+$/.test(key)) return null;
+  if (!(key in _modules)) {
+    const file = path.join(__dirname, key + '.js');
+    _modules[key] = fs.existsSync(file) && key !== 'index' && key !== 'common' ? require(file) : null;
+  }
+  return _modules[key];
+}
+
+// providers.json entries joined with their module; enabledOnly skips disabled ones
+function listProviders({ enabledOnly = false } = {}) {
+  return loadProviders()
+    .filter(p => !enabledOnly || p.enabled)
+    .map(p => ({ entry: p, module: getProvider(p.slug || p.id) }))
+    .filter(p => p.module);
+}
+
+// Public shape for /api/providers — providers.json merged with module-declared UI config
+function describeProvider(entry) {
+  const mod = getProvider(entry.slug || entry.id);
+  return {
+    ...entry,
+    logo: entry.logo || (mod && mod.logo) || null,
+    displayName: (mod && mod.displayName) || entry.name,
+    categories: entry.categories || (mod && mod.categories) || [{ key: 'all', label: 'ทั้งหมด' }],
+    playable: !!mod
+  };
+}
+
+function featuredFileOf(mod) {
+  return mod.featuredFile || `${mod.id}-featured.json`;
+}
+
+// Featured game keys per provider (for hybrid: แนะนำ vs ดูทั้งหมด)
+function loadFeaturedIds(id, opts) {
+  const mod = getProvider(id);
+  if (!mod) return new Set();
+  const arr = readJsonFile(featuredFileOf(mod), [], opts);
+  return new Set(Array.isArray(arr) ? arr : []);
+}
+
+module.exports = { loadProviders, getProvider, listProviders, describeProvider, featuredFileOf, loadFeaturedIds };
@@ -0,0 +1,91 @@
+// ──────────────────────────────────────────────
+// Provider: JILI Games
+// Games play through our /jili reverse proxy (jiligames.com is blocked in Thailand)
+// ──────────────────────────────────────────────
+const { loadGamesFile } = require('./common');
+const { request, outbound } = require('../http');
+const { proxyPathOf } = require('../reverse-proxy');
+const { renderProxyErrorPage } = require('../html');
+
+// Some JILI endpoints answer a page load with a JSON error
+// (e.g. {"ErrorCode":18,"Message":"Game disabled"...}) — show a friendly page in the WebView instead
+function documentJson(obj, { targetHost, targetPath }) {
+  const code = obj.ErrorCode ?? obj.errorCode;
+  const msg = obj.Message ?? obj.message;
+  if (code == null || !msg) return null;
+  return renderProxyErrorPage({
+    title: code === 18 ? 'เกมนี้ถูกปิดใช้งานชั่วคราว' : 'ไม่สามารถเปิดเกมได้',
+    detail: `${String(msg)} (ErrorCode: ${String(code)})`,
+    backHref: '/catalog/jili',
+    meta: targetHost + targetPath
+  });
+}
+
+// Reverse proxy (lib/reverse-proxy.js) — any *.jiligames.com host
+const proxy = {
+  prefix: '/jili',
+  wsPrefix: '/jili-ws', // Baccarat / live table games use WSS
+  domains: ['jiligames.com'],
+  // Root-relative pages the game pages link to, besides static assets
+  leakedPaths: [/^\/(?:PlusTrial|LoginTrial)\b/i],
+  documentJson
+};
+
+// https://foo.jiligames.com/bar → /jili/foo.jiligames.com/bar
+function toProxyPath(fullUrl) {
+  return proxyPathOf(proxy, fullUrl);
+}
+
+// Resolve game ID to proxy path. Returns { proxyPath } or { error }.
+// Follows: PlusTrial → LoginTrial → final game URL
+async function resolve(gameId) {
+  const step1 = await request(`https://jiligames.com/PlusTrial/${gameId}/en-us`);
+  const metaMatch = step1.body.match(/url='([^']+)'/i) || step1.body.match(/url="([^"]+)"/i);
+  if (!metaMatch) return { error: 'Could not find game redirect URL' };
+  const loginTrialUrl = metaMatch[1].replace(/&amp;/g, '&');
+  const step3 = await request(loginTrialUrl);
+  let finalUrl;
+  if (step3.statusCode >= 300 && step3.statusCode < 400 && step3.headers.location) {
+    finalUrl = step3.headers.location;
+  } else if (step3.statusCode === 200) {
+    finalUrl = loginTrialUrl;
+  } else {
+    return { error: 'Game server returned unexpected response' };
+  }
+  const proxyPath = toProxyPath(finalUrl);
+  if (!proxyPath) return { error: 'Could not convert game URL to proxy path' };
+  return { proxyPath };
+}
+
+function errorHint(message) {
+  return /ECONNREFUSED|ETIMEDOUT|ENOTFOUND|Timeout/i.test(message) && !outbound.isProxied('jiligames.com')
+    ? 'Set OUTBOUND_PROXY_URL (or an OUTBOUND_PROXY_ROUTES route for jiligames.com) if server is in blocked region.'
+    : '';
+}
+
+module.exports = {
+  id: 'jili',
+  keyField: 'id',
+  logo: '/images/jili-logo.png',
+  displayName: 'JILI GAMES',
+  categories: [
+    { key: 'all', label: 'ทั้งหมด' },
+    { key: 'slot', label: 'สล็อต' },
+    { key: 'fishing', label: 'ยิงปลา' },
+    { key: 'tableandcard', label: 'ไพ่' },
+    { key: 'bingo', label: 'บิงโก' },
+    { key: 'casino', label: 'คาสิโน' }
+  ],
+  dataFiles: ['games.json', 'seed-games.json'],
+  loadGames: (opts) => loadGamesFile('games.json', 'seed-games.json', { ...opts, guard: module.exports }),
+  minGames: 20,
+  playUrl: g => `/play/jili/${g.id}`,
+  resolve,
+  sync: { script: 'scraper.js', schedule: '30 3 * * *' },
+  // Not cached: the launch URL carries the trial session token, so a cached URL would put every
+  // player on one session (kicking each other out / sharing one demo wallet)
+  resolveTtlSec: 0,
+  errorHint,
+  proxy,
+  toProxyPath
+};
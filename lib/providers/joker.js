@@ -0,0 +1,68 @@
+// ──────────────────────────────────────────────
+// Provider: Joker Gaming
+// Calls joker123.net API to get a free-play session URL, then follows redirects
+// to get the final game page URL on the game server.
+// ──────────────────────────────────────────────
+const { loadGamesFile } = require('./common');
+const { request } = require('../http');
+
+async function resolve(gameCode) {
+  const apiUrl = `https://www.joker123.net/Service/PlayFreeGame?gameCode=${encodeURIComponent(gameCode)}`;
+  console.log(`[JOKER-RESOLVE] POST ${apiUrl}`);
+
+  const resp = await request(apiUrl, {
+    method: 'POST',
+    headers: {
+      'Accept': 'application/json',
+      'Content-Length': 0,
+      'Referer': 'https://www.joker123.net/GameIndex',
+      'Origin': 'https://www.joker123.net',
+    }
+  });
+  if (resp.statusCode !== 200) {
+    return { error: `Joker API returned status ${resp.statusCode}` };
+  }
+
+  let json;
+  try { json = JSON.parse(resp.body); } catch { return { error: 'Invalid JSON from Joker API' }; }
+  if (!json.Success || !json.Data || !json.Data.GameUrl) {
+    return { error: json.Message || 'Joker API returned no GameUrl' };
+  }
+
+  let gameUrl = json.Data.GameUrl;
+  if (!gameUrl.startsWith('http')) {
+    gameUrl = 'https://www.joker123.net' + (gameUrl.startsWith('/') ? '' : '/') + gameUrl;
+  }
+  console.log(`[JOKER-RESOLVE] Initial GameUrl: ${gameUrl}`);
+
+  // The session URL redirects (once or twice) to the game server — the last hop is the game page
+  gameUrl = (await request(gameUrl, { followRedirects: 5 })).url;
+
+  console.log(`[JOKER-RESOLVE] Final URL: ${gameUrl}`);
+  return { demoUrl: gameUrl, gameName: gameCode.replace(/([A-Z])/g, ' $1').replace(/GW$/, '').trim() };
+}
+
+module.exports = {
+  id: 'joker',
+  keyField: 'code',
+  logo: '/images/joker-logo.png',
+  displayName: 'Joker Gaming',
+  categories: [
+    { key: 'all', label: 'ทั้งหมด' },
+    { key: 'slot', label: 'สล็อต' },
+    { key: 'fishing', label: 'ยิงปลา' },
+    { key: 'bingo', label: 'บิงโก' },
+    { key: 'ecasino', label: 'E-Games' }
+  ],
+  dataFiles: ['joker-games.json', 'joker-seed-games.json'],
+  loadGames: (opts) => loadGamesFile('joker-games.json', 'joker-seed-games.json', { ...opts, guard: module.exports }),
+  minGames: 50,
+  gameFields: g => ({ flags: { hot: !!g.isHot, recommended: !!g.isRecommend } }),
+  playUrl: g => `/play/joker/${encodeURIComponent(g.code)}`,
+  resolve,
+  sync: { script: 'scraper-joker.js', schedule: '30 4 * * *' },
+  // Not cached: PlayFreeGame's URL is one player's demo session — sharing it would put every
+  // player on the same session
+  resolveTtlSec: 0,
+  player: { label: 'Joker Gaming' }
+};
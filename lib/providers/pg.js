@@ -0,0 +1,73 @@
+// ──────────────────────────────────────────────
+// Provider: PG Soft
+// The demo link is read from the game's page on pgsoft.com (or built from PG_DEMO_URL_TEMPLATE
+// when the catalog knows the numeric gameId). The demo is a single-page app that calls its own
+// API host with origin checks, so it is embedded directly in an iframe on our page (like PP) —
+// rewriting it through a reverse proxy would break those checks.
+// ──────────────────────────────────────────────
+const { loadGamesFile } = require('./common');
+const { request } = require('../http');
+
+const PAGE_URL = 'https://www.pgsoft.com/en/games/';
+// Hosts PG serves its demo launcher from
+const DEMO_URL_RE = /https?:\/\/[a-z0-9.-]*(?:pg-demo\.com|pgsoft-games\.com)\/[^"'<>\s]+/i;
+// e.g. https://m.pg-demo.com/{gameId}/index.html?l={lang}&btt=2&ot=<operator token>
+const DEMO_URL_TEMPLATE = process.env.PG_DEMO_URL_TEMPLATE || '';
+const DEMO_LANG = process.env.PG_DEMO_LANG || 'en';
+
+function gameNameOf(code, game) {
+  return (game && game.name) || code.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+}
+
+async function resolve(code, { games = [] } = {}) {
+  const game = games.find(g => g.code === code);
+
+  if (DEMO_URL_TEMPLATE && game && game.gameId) {
+    const demoUrl = DEMO_URL_TEMPLATE
+      .replace('{gameId}', encodeURIComponent(game.gameId))
+      .replace('{lang}', encodeURIComponent(DEMO_LANG));
+    return { demoUrl, gameName: gameNameOf(code, game) };
+  }
+
+  const pageUrl = PAGE_URL + encodeURIComponent(code) + '/';
+  console.log(`[PG-RESOLVE] Fetching ${pageUrl}`);
+
+  const resp = await request(pageUrl, { followRedirects: 5 });
+  if (resp.redirects) console.log(`[PG-RESOLVE] Redirected → ${resp.url}`);
+
+  if (resp.statusCode >= 400) {
+    return { error: `PG Soft returned status ${resp.statusCode}` };
+  }
+
+  const match = resp.body.match(DEMO_URL_RE);
+  if (!match) {
+    return { error: 'Could not find demo game URL on PG Soft page' };
+  }
+
+  const demoUrl = match[0].replace(/&amp;/g, '&');
+  console.log(`[PG-RESOLVE] Demo URL: ${demoUrl.substring(0, 100)}...`);
+  return { demoUrl, gameName: gameNameOf(code, game) };
+}
+
+module.exports = {
+  id: 'pg',
+  keyField: 'code',
+  logo: '/images/pgsoft-logo.png',
+  displayName: 'PG Soft',
+  categories: [
+    { key: 'all', label: 'ทั้งหมด' },
+    { key: 'slot', label: 'สล็อต' }
+  ],
+  dataFiles: ['pg-games.json', 'pg-seed-games.json'],
+  loadGames: (opts) => loadGamesFile('pg-games.json', 'pg-seed-games.json', { ...opts, guard: module.exports }),
+  minGames: 30,
+  playUrl: g => `/play/pg/${encodeURIComponent(g.code)}`,
+  resolve,
+  sync: { script: 'scraper-pg.js', schedule: '30 5 * * *' },
+  resolveTtlSec: 6 * 3600, // the game page only links a new launcher when PG redeploys it
+  player: {
+    label: 'PG Soft',
+    sandbox: 'allow-scripts allow-same-origin allow-popups allow-forms',
+    background: '#000'
+  }
+};
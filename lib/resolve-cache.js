@@ -0,0 +1,140 @@
+// ──────────────────────────────────────────────
+// Resolved launch URL cache (PP / PG)
+// - TTL per provider: module.resolveTtlSec, overridable with RESOLVE_TTL_<ID> (seconds, 0 = off).
+//   Only for URLs every player can share — JILI / Joker URLs carry a per-player trial session (TTL 0)
+// - Single-flight: concurrent taps on the same game share one in-flight resolve
+// - Failures ({ error } or a thrown error) are kept for errorTtlMs so a broken game
+//   isn't re-resolved on every tap; a cached throw is re-thrown to the caller
+// - prewarm(): resolves featured games ahead of time and refreshes them before they expire
+// ──────────────────────────────────────────────
+const DEFAULT_ERROR_TTL_MS = 30 * 1000;
+const REFRESH_AHEAD = 0.2; // pre-warm refreshes entries in the last 20% of their TTL
+
+function ttlMsFor(mod) {
+  const env = process.env['RESOLVE_TTL_' + mod.id.toUpperCase()];
+  const sec = env != null && env !== '' ? Number(env) : Number(mod.resolveTtlSec) || 0;
+  return Number.isFinite(sec) && sec > 0 ? sec * 1000 : 0;
+}
+
+function createResolveCache({ errorTtlMs = DEFAULT_ERROR_TTL_MS, maxEntries = 5000 } = {}) {
+  const entries = new Map(); // 'provider:key' → { result?, error?, expiresAt, resolvedAt, ms }
+  const inflight = new Map(); // 'provider:key' → Promise<entry>
+  const counters = { hits: 0, misses: 0, shared: 0, negativeHits: 0, prewarmed: 0 };
+
+  const uidOf = (mod, key) => `${mod.id}:${key}`;
+
+  function fresh(uid) {
+    const e = entries.get(uid);
+    if (!e) return null;
+    if (e.expiresAt > Date.now()) return e;
+    entries.delete(uid);
+    return null;
+  }
+
+  function store(uid, entry) {
+    entries.delete(uid); // re-insert → Map order stays oldest-first for eviction
+    entries.set(uid, entry);
+    while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+  }
+
+  function unwrap(e) {
+    if (e.error) throw e.error;
+    return e.result;
+  }
+
+  // Run the provider's resolve once for uid, store the outcome, share it with concurrent callers
+  function run(mod, key, ctx, ttlMs) {
+    const uid = uidOf(mod, key);
+    if (inflight.has(uid)) {
+      counters.shared++;
+      return inflight.get(uid);
+    }
+    const startedAt = Date.now();
+    const p = Promise.resolve()
+      .then(() => mod.resolve(key, ctx))
+      .then(
+        result => {
+          const failed = !result || !!result.error;
+          return { result, expiresAt: Date.now() + (failed ? errorTtlMs : ttlMs), failed };
+        },
+        error => ({ error, expiresAt: Date.now() + errorTtlMs, failed: true })
+      )
+      .then(e => {
+        e.resolvedAt = Date.now();
+        e.ms = e.resolvedAt - startedAt;
+        store(uid, e);
+        return e;
+      })
+      .finally(() => inflight.delete(uid));
+    inflight.set(uid, p);
+    return p;
+  }
+
+  // Drop-in for mod.resolve(key, ctx). Providers without a TTL (CQ9 builds its URL locally)
+  // are passed straight through.
+  async function resolve(mod, key, ctx = {}) {
+    const ttlMs = ttlMsFor(mod);
+    if (!ttlMs) return mod.resolve(key, ctx);
+    const cached = fresh(uidOf(mod, String(key)));
+    if (cached) {
+      if (cached.failed) counters.negativeHits++;
+      else counters.hits++;
+      return unwrap(cached);
+    }
+    if (!inflight.has(uidOf(mod, String(key)))) counters.misses++;
+    return unwrap(await run(mod, String(key), ctx, ttlMs));
+  }
+
+  // Resolve the given keys one at a time (never hammers upstream), skipping entries that are
+  // still comfortably fresh. Returns how many were resolved.
+  async function prewarm(mod, keys, ctx = {}) {
+    const ttlMs = ttlMsFor(mod);
+    if (!ttlMs) return 0;
+    let n = 0;
+    for (const k of keys) {
+      const key = String(k);
+      const e = fresh(uidOf(mod, key));
+      if (e && !e.failed && e.expiresAt - Date.now() > ttlMs * REFRESH_AHEAD) continue;
+      if (e && e.failed) continue; // let the negative entry run out first
+      await run(mod, key, ctx, ttlMs);
+      counters.prewarmed++;
+      n++;
+    }
+    return n;
+  }
+
+  // Forget one game, one provider (key omitted) or everything (no args)
+  function purge(providerId, key) {
+    if (!providerId) {
+      const n = entries.size;
+      entries.clear();
+      return n;
+    }
+    const prefix = providerId + ':';
+    let n = 0;
+    for (const uid of [...entries.keys()]) {
+      if (key != null ? uid === prefix + key : uid.startsWith(prefix)) {
+        entries.delete(uid);
+        n++;
+      }
+    }
+    return n;
+  }
+
+  function status() {
+    const now = Date.now();
+    const byProvider = {};
+    for (const [uid, e] of entries) {
+      if (e.expiresAt <= now) continue;
+      const id = uid.slice(0, uid.indexOf(':'));
+      const s = byProvider[id] || (byProvider[id] = { entries: 0, failed: 0 });
+      s.entries++;
+      if (e.failed) s.failed++;
+    }
+    return { ...counters, entries: entries.size, inflight: inflight.size, errorTtlMs, byProvider };
+  }
+
+  return { resolve, prewarm, purge, status, ttlMsFor };
+}
+
+module.exports = { createResolveCache };
@@ -0,0 +1,444 @@
+// ──────────────────────────────────────────────
+// Reverse proxy engine for game hosts (JILI, PP, …)
+// A provider module opts in with proxy: { prefix, wsPrefix?, domains, wsDomains?, documentJson?(obj, ctx) }
+//   prefix       mount path — /<prefix>/<host>/<path> is fetched from https://<host>/<path>
+//   wsPrefix     WebSocket mount — /<wsPrefix>/<encoded host>/<path> ↔ wss://<host>/<path> (lib/ws-relay.js)
+//   domains      allowlist; a host matches when it is a domain or a subdomain of one
+//   wsDomains    allowlist for WebSocket hosts (default: domains)
+// Upstream connections take their proxy and TLS policy from the outbound client (lib/http.js); a GET/HEAD
+// whose proxy fails before any response is retried through the route's next proxy.
+//   documentJson a JSON body loaded as a page → HTML to show instead (null = pass through)
+// HTML is rewritten so absolute links to the allowed hosts go through the proxy, and gets a
+// <base> tag plus a script that routes fetch/XHR/WebSocket/src="/…" back through it.
+// The rewrite streams: gzip/deflate/br from upstream is decoded on the fly and the page is
+// re-compressed with whatever the client's Accept-Encoding prefers.
+// Frame-blocking headers are dropped and Location is rewritten. Cookies never cross the proxy:
+// upstream Set-Cookie goes into the player's server-side jar (lib/cookie-jar.js) and is
+// replayed from there; the browser's own Cookie header is not forwarded.
+// Static assets are served from / stored in the shared asset cache when one is passed in.
+// Every game page served also sets co168_upstream=<id>:<host>, so an absolute path the page
+// leaks onto our origin can be routed back even when no Referer comes with it (hostFromCookie) —
+// as long as it looks like one (isLeakedPath: a static asset or one of proxy.leakedPaths).
+// ──────────────────────────────────────────────
+const https = require('https');
+const { Transform, pipeline } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { assetKind } = require('./asset-cache');
+const { connectOptions } = require('./http');
+const { failOnProxyRefusal } = require('./outbound-routes');
+const { readCookie, appendSetCookie, isSecure } = require('./cookies');
+const { DECODERS, ENCODERS, UPSTREAM_ACCEPT_ENCODING, clientAccepts, negotiateEncoding, contentEncodingOf } = require('./content-encoding');
+
+const DOCUMENT_JSON_LIMIT = 128 * 1024;
+const UPSTREAM_COOKIE = 'co168_upstream';
+const UPSTREAM_COOKIE_MAX_AGE_SEC = 4 * 3600;
+const UPSTREAM_IDLE_TIMEOUT_MS = 30000;
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+// Host (with any subdomains) of one of the allowed domains, as a regex fragment
+function hostPattern(domains) {
+  return `(?:[a-zA-Z0-9-]+\\.)*(?:${domains.map(escapeRe).join('|')})`;
+}
+
+function isAllowedHost(proxy, host, domains = proxy.domains) {
+  return typeof host === 'string' && new RegExp(`^${hostPattern(domains)}$`).test(host);
+}
+
+// https://foo.jiligames.com/bar?x → /jili/foo.jiligames.com/bar?x (null for other hosts)
+function proxyPathOf(proxy, fullUrl) {
+  try {
+    const u = new URL(fullUrl);
+    if (isAllowedHost(proxy, u.hostname)) return proxy.prefix + '/' + u.hostname + u.pathname + u.search;
+  } catch {}
+  return null;
+}
+
+// Runs in the proxied page: keep requests made by the game's own scripts on the proxy
+function clientScript(proxy, targetHost) {
+  const host = hostPattern(proxy.domains);
+  const wsHost = hostPattern(proxy.wsDomains || proxy.domains);
+  const conf = JSON.stringify({
+    base: proxy.prefix + '/' + targetHost,
+    prefix: proxy.prefix + '/',
+    ws: proxy.wsPrefix ? proxy.wsPrefix + '/' : '',
+    http: `^https?:\\/\\/(${host})(\\/[^?]*)?(\\?.*)?$`,
+    wss: `^wss?:\\/\\/(${wsHost})(\\/[^?]*)?(\\?.*)?$`
+  });
+  return `<script>(function(){` +
+    `var K=${conf.replace(/</g, '\\u003c')};` +
+    `var A=new RegExp(K.http),S=new RegExp(K.wss);` +
+    `function toProxy(u){` +
+      `if(typeof u!=='string')return u;` +
+      `if(u.indexOf(K.prefix)===0)return u;` +
+      `if(u.charAt(0)==='/'&&u.charAt(1)!=='/')return K.base+u;` +
+      `var m=u.match(A);if(m)return K.prefix+m[1]+(m[2]||'/')+(m[3]||'');` +
+      `return u;` +
+    `}` +
+    `var F=window.fetch;` +
+    `if(F)window.fetch=function(u,o){return F.call(this,toProxy(u),o);};` +
+    `var X=XMLHttpRequest.prototype.open;` +
+    `XMLHttpRequest.prototype.open=function(m,u){arguments[1]=toProxy(u);return X.apply(this,arguments);};` +
+    `if(K.ws){` +
+      `var N=window.WebSocket;` +
+      `var W=function(u,p){` +
+        `var m=typeof u==='string'&&u.match(S);` +
+        `if(m)u=(location.protocol==='https:'?'wss:':'ws:')+'//'+location.host+K.ws+encodeURIComponent(m[1])+(m[2]||'/')+(m[3]||'');` +
+        `return p===undefined?new N(u):new N(u,p);` +
+      `};` +
+      `W.prototype=N.prototype;` +
+      `['CONNECTING','OPEN','CLOSING','CLOSED'].forEach(function(k){W[k]=N[k];});` +
+      `window.WebSocket=W;` +
+    `}` +
+    // new Image().src = "/path" etc.
+    `var P=function(C,p){` +
+      `var d=Object.getOwnPropertyDescriptor(C.prototype,p);` +
+      `if(d&&d.set){Object.defineProperty(C.prototype,p,{` +
+        `set:function(v){d.set.call(this,toProxy(v));},get:d.get,configurable:true});}` +
+    `};` +
+    `try{P(HTMLImageElement,'src');}catch(e){}` +
+    `try{P(HTMLScriptElement,'src');}catch(e){}` +
+    `try{P(HTMLAudioElement,'src');}catch(e){}` +
+    `try{P(HTMLSourceElement,'src');}catch(e){}` +
+  `})();</script>`;
+}
+
+const HEAD_RE = /<head(\s[^>]*)?>/i;
+const HEAD_SEARCH_LIMIT = 64 * 1024; // no <head> in the first 64KB → inject at the very start
+const CARRY_LIMIT = 64 * 1024;
+
+function absoluteUrlRe(proxy) {
+  return new RegExp(`https?:\\/\\/(${hostPattern(proxy.domains)})(\\/[^"'<>\\s]*)`, 'g');
+}
+
+// <base> + client script for a page served from targetHost
+function injectionFor(proxy, targetHost, targetPathDir) {
+  let basePath = proxy.prefix + '/' + targetHost + targetPathDir;
+  if (!basePath.endsWith('/')) basePath += '/';
+  return `<base href="${basePath}">` + clientScript(proxy, targetHost);
+}
+
+function injectHead(html, injection) {
+  const head = html.match(HEAD_RE);
+  return head ? html.replace(head[0], head[0] + injection) : injection + html;
+}
+
+// Absolute links to allowed hosts → proxy paths; with targetHost also inject <base> + client script
+function rewriteHtml(proxy, body, targetHost, targetPathDir = '/') {
+  const html = body.replace(absoluteUrlRe(proxy), (match, host, p) => proxy.prefix + '/' + host + p);
+  return targetHost ? injectHead(html, injectionFor(proxy, targetHost, targetPathDir)) : html;
+}
+
+// Streaming rewriteHtml(): bytes in, rewritten UTF-8 out. Text is held back only while looking
+// for <head> and after the last quote/bracket/space of a chunk (a URL can't span one, so the
+// held tail is the only place a link can be cut in half).
+function createHtmlRewriter(proxy, targetHost, targetPathDir = '/') {
+  const absolute = absoluteUrlRe(proxy);
+  const injection = targetHost ? injectionFor(proxy, targetHost, targetPathDir) : null;
+  const decoder = new StringDecoder('utf8');
+  let head = injection ? '' : null; // text seen before <head>; null once injected
+  let carry = '';
+
+  function rewrite(text, final) {
+    text = carry + text;
+    let cut = text.length;
+    if (!final) {
+      const m = text.match(/[\s"'<>][^\s"'<>]*$/);
+      cut = m ? m.index + 1 : 0;
+      if (text.length - cut > CARRY_LIMIT) cut = text.length;
+    }
+    carry = text.slice(cut);
+    return text.slice(0, cut).replace(absolute, (match, host, p) => proxy.prefix + '/' + host + p);
+  }
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      let text = decoder.write(chunk);
+      if (head !== null) {
+        head += text;
+        if (!HEAD_RE.test(head) && head.length < HEAD_SEARCH_LIMIT) return callback();
+        text = injectHead(head, injection);
+        head = null;
+      }
+      callback(null, rewrite(text, false));
+    },
+    flush(callback) {
+      let text = decoder.end();
+      if (head !== null) {
+        text = injectHead(head + text, injection);
+        head = null;
+      }
+      callback(null, rewrite(text, true));
+    }
+  });
+}
+
+function looksLikeDocument(req) {
+  const accept = String(req.headers['accept'] || '').toLowerCase();
+  const fetchDest = String(req.headers['sec-fetch-dest'] || '').toLowerCase();
+  return fetchDest === 'document' || accept.includes('text/html');
+}
+
+function isJson(ct) {
+  return ct.includes('application/json') || ct.includes('text/json') || ct.includes('application/problem+json');
+}
+
+// id: log label; proxy: the module's proxy config (see top of file);
+// assetCache: shared static asset cache (lib/asset-cache.js), optional
+// cookieJar: per-player upstream cookies (lib/cookie-jar.js); without one cookies are dropped
+// wsRelay: WebSocket relay (lib/ws-relay.js); without one wsPrefix upgrades are refused
+function createReverseProxy(id, proxy, { assetCache = null, cookieJar = null, wsRelay = null } = {}) {
+  const label = `[${id.toUpperCase()}-PROXY]`;
+  const host = hostPattern(proxy.domains);
+  const pathRe = new RegExp(`^\\/(${host})(\\/[^?]*)?(\\?.*)?$`);
+  const refererRe = new RegExp(`${escapeRe(proxy.prefix)}\\/(${host})(?:[/?#]|$)`);
+
+  const allowDomain = domain => isAllowedHost(proxy, domain);
+
+  function copyResponseHeaders(proxyRes, res, ctx) {
+    const { targetHost } = ctx;
+    for (const [key, value] of Object.entries(proxyRes.headers)) {
+      const k = key.toLowerCase();
+      if (k === 'x-frame-options' || k === 'x-content-type-options' || k.startsWith('content-security-policy')) continue;
+      if (k === 'location') {
+        const proxied = proxyPathOf(proxy, value);
+        if (proxied) res.setHeader('Location', proxied);
+        else if (value.startsWith('/')) res.setHeader('Location', proxy.prefix + '/' + targetHost + value);
+        else res.setHeader('Location', value);
+        continue;
+      }
+      if (k === 'set-cookie') {
+        if (cookieJar) cookieJar.store(ctx.sid, targetHost, ctx.targetPath, value, allowDomain);
+        continue;
+      }
+      res.setHeader(key, value);
+    }
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  }
+
+  // JSON opened as a page (e.g. a game-disabled error): let the module render it as HTML.
+  // body is the decoded response stream.
+  function sendDocumentJson(body, res, ctx) {
+    const chunks = [];
+    let total = 0;
+    body.on('data', chunk => {
+      total += chunk.length;
+      chunks.push(chunk);
+    });
+    body.on('error', () => res.destroy());
+    body.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf-8');
+      let obj = null;
+      if (total <= DOCUMENT_JSON_LIMIT) {
+        try { obj = JSON.parse(raw.trim()); } catch (_) {}
+      }
+      const page = obj && typeof obj === 'object' ? proxy.documentJson(obj, ctx) : null;
+      res.removeHeader('content-length');
+      res.removeHeader('content-encoding');
+      if (!page) return res.end(raw);
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, max-age=0');
+      res.setHeader('Pragma', 'no-cache');
+      res.setHeader('Expires', '0');
+      res.end(page);
+    });
+  }
+
+  function onStreamDone(err) {
+    if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error(`${label} Stream error:`, err.message);
+  }
+
+  // Upstream body → client: HTML is decoded, rewritten on the fly and re-encoded for the client;
+  // anything else passes through as-is unless the client can't read the upstream encoding
+  function sendBody(req, res, proxyRes, ctx) {
+    const ct = (proxyRes.headers['content-type'] || '').toLowerCase();
+    const upstreamEncoding = contentEncodingOf(proxyRes);
+    const decoder = upstreamEncoding === 'identity' ? null : DECODERS[upstreamEncoding];
+    const hasBody = req.method !== 'HEAD' && proxyRes.statusCode !== 204 && proxyRes.statusCode !== 304;
+    // No body, or an encoding we can't read: nothing to rewrite
+    if (!hasBody || (upstreamEncoding !== 'identity' && !decoder)) return proxyRes.pipe(res);
+
+    if (ct.includes('text/html')) {
+      if (proxyRes.statusCode < 300) {
+        appendSetCookie(res, `${UPSTREAM_COOKIE}=${id}:${ctx.targetHost}; Path=/; Max-Age=${UPSTREAM_COOKIE_MAX_AGE_SEC}; HttpOnly; SameSite=Lax` +
+          (isSecure(req) ? '; Secure' : ''));
+      }
+      const encoding = negotiateEncoding(req.headers['accept-encoding']);
+      res.removeHeader('content-length');
+      if (encoding === 'identity') res.removeHeader('content-encoding');
+      else res.setHeader('Content-Encoding', encoding);
+      res.setHeader('Vary', 'Accept-Encoding');
+      const stages = [proxyRes];
+      if (decoder) stages.push(decoder());
+      stages.push(createHtmlRewriter(proxy, ctx.targetHost, ctx.targetPathDir));
+      if (encoding !== 'identity') stages.push(ENCODERS[encoding]());
+      pipeline(...stages, res, onStreamDone);
+    } else if (proxy.documentJson && isJson(ct) && looksLikeDocument(req)) {
+      sendDocumentJson(decoder ? pipeline(proxyRes, decoder(), onStreamDone) : proxyRes, res, ctx);
+    } else if (clientAccepts(req.headers['accept-encoding'], upstreamEncoding)) {
+      proxyRes.pipe(res);
+    } else {
+      res.removeHeader('content-length');
+      res.removeHeader('content-encoding');
+      pipeline(proxyRes, decoder(), res, onStreamDone);
+    }
+  }
+
+  // Express handler, mounted at proxy.prefix (req.url is /<host>/<path>)
+  function middleware(req, res) {
+    const match = req.url.match(pathRe);
+    if (!match) {
+      console.error(`  ${label} Invalid path:`, req.url);
+      return res.status(400).send('Invalid proxy path');
+    }
+
+    const targetHost = match[1];
+    const targetPathWithoutQuery = match[2] || '/';
+    const targetPath = targetPathWithoutQuery + (match[3] || '');
+    // Directory part for <base> (e.g. /rx10000/ from /rx10000/?ssoKey=...)
+    const targetPathDir = targetPathWithoutQuery.endsWith('/')
+      ? targetPathWithoutQuery
+      : targetPathWithoutQuery.substring(0, targetPathWithoutQuery.lastIndexOf('/') + 1) || '/';
+
+    const cacheKey = assetCache && req.method === 'GET' ? `${id}:${targetHost}${targetPath}` : null;
+    if (cacheKey) {
+      const hit = assetCache.lookup(cacheKey, targetPath, id);
+      if (hit) return assetCache.serve(req, res, hit);
+    }
+
+    console.log(`  ${label} ${targetHost}${targetPath.substring(0, 80)}...`);
+    // After the cache lookup: cached assets don't need (or hand out) a jar session
+    const sid = cookieJar ? cookieJar.sessionOf(req, res) : null;
+    const cookie = cookieJar ? cookieJar.header(sid, targetHost, targetPath) : '';
+
+    const headers = {
+      'User-Agent': req.headers['user-agent'] || 'Mozilla/5.0',
+      'Accept': req.headers['accept'] || '*/*',
+      'Accept-Language': req.headers['accept-language'] || 'en-US,en;q=0.9',
+      'Accept-Encoding': UPSTREAM_ACCEPT_ENCODING,
+      'Referer': `https://${targetHost}/`,
+      'Origin': `https://${targetHost}`,
+    };
+    if (req.headers['content-type']) headers['Content-Type'] = req.headers['content-type'];
+    if (req.headers['content-length']) headers['Content-Length'] = req.headers['content-length'];
+    if (cookie) headers['Cookie'] = cookie;
+    // Cacheable assets are fetched whole so they can be stored; Range is then served from the cache
+    if (req.headers.range && !(cacheKey && assetKind(targetPath))) headers['Range'] = req.headers.range;
+
+    const hasBody = req.method === 'POST' || req.method === 'PUT' || req.method === 'PATCH';
+    let proxyReq = null;
+    let clientGone = false;
+
+    const send = (tried) => {
+      const { via, agent, rejectUnauthorized } = connectOptions(targetHost, { exclude: tried });
+      proxyReq = https.request({
+        hostname: targetHost,
+        path: targetPath,
+        method: req.method,
+        agent,
+        rejectUnauthorized,
+        headers
+      }, (proxyRes) => {
+        via.done();
+        res.statusCode = proxyRes.statusCode;
+        const ctx = { targetHost, targetPath, targetPathDir, sid };
+        copyResponseHeaders(proxyRes, res, ctx);
+        if (cacheKey && assetCache.capture(cacheKey, targetPath, proxyRes, id)) res.setHeader('X-Asset-Cache', 'MISS');
+        sendBody(req, res, proxyRes, ctx);
+      });
+      failOnProxyRefusal(proxyReq);
+      proxyReq.setTimeout(UPSTREAM_IDLE_TIMEOUT_MS, () => proxyReq.destroy(new Error('Timeout')));
+
+      proxyReq.on('error', (err) => {
+        if (clientGone) return;
+        via.done(err);
+        // Nothing sent to the player yet and no request body to replay: next proxy of the route
+        if (!res.headersSent && !hasBody && via.canFailover) {
+          console.warn(`${label} ${via.route} via ${via.via}: ${err.message} — trying next proxy`);
+          return send([...tried, via.proxy]);
+        }
+        if (!res.headersSent) res.status(502).send('Game server unavailable');
+        console.error(`${label} Error:`, err.message);
+      });
+
+      if (hasBody) req.pipe(proxyReq);
+      else proxyReq.end();
+    };
+
+    const onClientClose = () => {
+      if (res.writableFinished) return;
+      clientGone = true;
+      proxyReq.destroy();
+    };
+    req.on('close', onClientClose);
+    req.on('aborted', onClientClose);
+    send([]);
+  }
+
+  // server 'upgrade' handler; returns false when the URL isn't ours
+  function handleUpgrade(req, socket, head) {
+    if (!wsRelay || !proxy.wsPrefix) return false;
+    const url = req.url || '';
+    if (!url.startsWith(proxy.wsPrefix + '/')) return false;
+    const rest = url.slice(proxy.wsPrefix.length + 1);
+    const i = rest.indexOf('/');
+    let targetHost;
+    try {
+      targetHost = decodeURIComponent(i >= 0 ? rest.slice(0, i) : rest);
+    } catch {
+      return false;
+    }
+    const targetPath = i >= 0 ? rest.slice(i) : '/';
+    if (!isAllowedHost(proxy, targetHost, proxy.wsDomains || proxy.domains)) return false;
+    console.log(`  ${label} ws ${targetHost}${targetPath.substring(0, 80)}...`);
+    const headers = {
+      'User-Agent': req.headers['user-agent'] || 'Mozilla/5.0',
+      'Accept-Language': req.headers['accept-language'] || 'en-US,en;q=0.9',
+      'Origin': `https://${targetHost}`
+    };
+    // The page that opens the socket has already been through the HTTP proxy, so the session exists
+    const cookie = cookieJar ? cookieJar.header(cookieJar.sessionOf(req), targetHost, targetPath) : '';
+    if (cookie) headers['Cookie'] = cookie;
+    wsRelay.relay(id, req, socket, head, {
+      url: 'wss://' + targetHost + targetPath,
+      ...connectOptions(targetHost),
+      headers
+    });
+    return true;
+  }
+
+  // Proxied host a page was loaded from, read from its Referer (null if not one of ours)
+  function hostFromReferer(referer) {
+    const m = String(referer || '').match(refererRe);
+    return m ? m[1] : null;
+  }
+
+  // Host of the last page this proxy served to the player (co168_upstream), null if it was another proxy's
+  function hostFromCookie(req) {
+    const value = readCookie(req, UPSTREAM_COOKIE) || '';
+    const i = value.indexOf(':');
+    if (i === -1 || value.slice(0, i) !== id) return null;
+    const cookieHost = value.slice(i + 1);
+    return isAllowedHost(proxy, cookieHost) ? cookieHost : null;
+  }
+
+  function isLeakedPath(urlPath) {
+    return Boolean(assetKind(urlPath)) || (proxy.leakedPaths || []).some(re => re.test(urlPath));
+  }
+
+  return {
+    id,
+    prefix: proxy.prefix,
+    middleware,
+    handleUpgrade,
+    hostFromReferer,
+    hostFromCookie,
+    isLeakedPath,
+    toProxyPath: fullUrl => proxyPathOf(proxy, fullUrl)
+  };
+}
+
+module.exports = { createReverseProxy, proxyPathOf, rewriteHtml, createHtmlRewriter, isAllowedHost };
@@ -0,0 +1,179 @@
+// ──────────────────────────────────────────────
+// Game search index (all providers)
+// - Ignores case, spacing and punctuation: "roma x" finds "ROMA X 10000"
+// - Tolerates typos via approximate substring edit distance
+// - Thai: tone marks are ignored, and data/search-aliases.json maps Thai words /
+//   transliterations to English ("สวีทโบนันซ่า" → "sweet bonanza") plus per-game nicknames
+// Ranking: exact > prefix > contains > fuzzy > alias
+// Rebuilt lazily whenever the catalog store version or the aliases file changes.
+// ──────────────────────────────────────────────
+const fs = require('fs');
+const path = require('path');
+const catalog = require('./catalog-store');
+const { DATA_DIR, readJsonFile } = require('./providers/common');
+
+const ALIASES_FILE = 'search-aliases.json';
+
+const SCORE = { exact: 100, prefix: 80, contains: 70, fuzzy: 60, alias: 30 };
+
+let _index = null;
+let _builtFor = null;
+
+// Lowercase, NFKC, drop Thai tone marks / thanthakhat (typed inconsistently), punctuation → space
+function normalize(s) {
+  return String(s || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[\u0E47-\u0E4C]/g, '')
+    .replace(/[^a-z0-9\u0E00-\u0E7F]+/g, ' ')
+    .trim();
+}
+
+function compact(s) {
+  return normalize(s).replace(/\s+/g, '');
+}
+
+// Allowed typos for a query of this length
+function maxEdits(len) {
+  if (len < 4) return 0;
+  if (len < 6) return 1;
+  if (len < 10) return 2;
+  return 3;
+}
+
+// Smallest edit distance between `pattern` and any substring of `text` (Sellers' algorithm)
+function substringDistance(pattern, text) {
+  const m = pattern.length;
+  let prev = new Array(m + 1);
+  for (let i = 0; i <= m; i++) prev[i] = i;
+  let best = prev[m];
+  for (let j = 1; j <= text.length; j++) {
+    const cur = new Array(m + 1);
+    cur[0] = 0;
+    for (let i = 1; i <= m; i++) {
+      const cost = pattern[i - 1] === text[j - 1] ? 0 : 1;
+      cur[i] = Math.min(prev[i] + 1, cur[i - 1] + 1, prev[i - 1] + cost);
+    }
+    if (cur[m] < best) best = cur[m];
+    if (best === 0) return 0;
+    prev = cur;
+  }
+  return best;
+}
+
+function aliasesMtime() {
+  try {
+    return fs.statSync(path.join(DATA_DIR, ALIASES_FILE)).mtimeMs;
+  } catch {
+    return 0;
+  }
+}
+
+function loadAliases() {
+  const raw = readJsonFile(ALIASES_FILE, {});
+  const words = [];
+  Object.entries(raw.words || {}).forEach(([from, to]) => {
+    const key = normalize(from);
+    if (key && typeof to === 'string') words.push([key, normalize(to)]);
+  });
+  // Longest first so "ยิงปลา" wins over "ปลา"
+  words.sort((a, b) => b[0].length - a[0].length);
+  return { words, games: raw.games && typeof raw.games === 'object' ? raw.games : {} };
+}
+
+function build() {
+  const aliases = loadAliases();
+  const entries = [];
+  for (const { entry, module: p } of catalog.listProviders({ enabledOnly: true })) {
+    for (const g of catalog.getGames(p.id)) {
+      const key = g[p.keyField];
+      const name = g.name || '';
+      const gameAliases = aliases.games[`${p.id}:${key}`] || [];
+      entries.push({
+        providerId: p.id,
+        providerName: entry.name,
+        key,
+        game: g,
+        playUrl: p.playUrl(g),
+        name,
+        compact: compact(name),
+        words: normalize(name).split(' ').filter(Boolean),
+        aliases: gameAliases.map(compact).filter(Boolean)
+      });
+    }
+  }
+  return { entries, words: aliases.words };
+}
+
+function getIndex() {
+  const stamp = catalog.version() + ':' + aliasesMtime();
+  if (!_index || _builtFor !== stamp) {
+    _index = build();
+    _builtFor = stamp;
+  }
+  return _index;
+}
+
+// Replace known Thai words/transliterations inside the query with their English form.
+// Thai is written without spaces, so this is a substring replace, not per token.
+function translateQuery(norm, words) {
+  let out = norm;
+  for (const [from, to] of words) {
+    if (out.includes(from)) out = out.split(from).join(' ' + to + ' ');
+  }
+  return out.replace(/\s+/g, ' ').trim();
+}
+
+function scoreText(q, text, words) {
+  if (!q || !text) return null;
+  if (text === q) return { match: 'exact', score: SCORE.exact };
+  if (text.startsWith(q)) return { match: 'prefix', score: SCORE.prefix + Math.round(10 * q.length / text.length) };
+  if (q.length >= 2 && words && words.some(w => w.startsWith(q))) return { match: 'prefix', score: SCORE.prefix - 5 };
+  if (q.length >= 2 && text.includes(q)) return { match: 'contains', score: SCORE.contains };
+  const limit = maxEdits(q.length);
+  if (limit === 0) return null;
+  const d = substringDistance(q, text);
+  if (d > limit) return null;
+  return { match: 'fuzzy', score: SCORE.fuzzy - d * 5 };
+}
+
+function scoreEntry(e, queries) {
+  let best = null;
+  for (const q of queries) {
+    const hit = scoreText(q, e.compact, e.words);
+    if (hit && (!best || hit.score > best.score)) best = hit;
+  }
+  if (best) return best;
+  for (const q of queries) {
+    for (const a of e.aliases) {
+      const hit = scoreText(q, a);
+      if (hit) {
+        const score = SCORE.alias + (hit.match === 'exact' ? 10 : hit.match === 'fuzzy' ? -5 : 0);
+        if (!best || score > best.score) best = { match: 'alias', score };
+      }
+    }
+  }
+  return best;
+}
+
+// search('โรม่า', { provider: 'jili', limit: 20 }) → [{ entry fields…, match, score }] best first.
+// limit 0 = no limit.
+function search(query, { provider, limit = 20 } = {}) {
+  const norm = normalize(query);
+  if (!norm) return [];
+  const index = getIndex();
+  const translated = translateQuery(norm, index.words);
+  const queries = [...new Set([compact(translated), compact(norm)])].filter(Boolean);
+  const wanted = provider ? String(provider).toLowerCase() : null;
+
+  const results = [];
+  for (const e of index.entries) {
+    if (wanted && e.providerId !== wanted) continue;
+    const hit = scoreEntry(e, queries);
+    if (hit) results.push({ ...e, ...hit });
+  }
+  results.sort((a, b) => b.score - a.score || a.name.length - b.name.length || a.name.localeCompare(b.name));
+  return limit > 0 ? results.slice(0, limit) : results;
+}
+
+module.exports = { normalize, search };
@@ -0,0 +1,66 @@
+// ──────────────────────────────────────────────
+// Telegram signature checks (both signed with BOT_TOKEN)
+// Login Widget: https://core.telegram.org/widgets/login#checking-authorization
+// Mini App initData: https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+// ──────────────────────────────────────────────
+const crypto = require('crypto');
+
+function safeEqualHex(a, b) {
+  const ba = Buffer.from(String(a || ''), 'hex');
+  const bb = Buffer.from(String(b || ''), 'hex');
+  return ba.length === bb.length && ba.length > 0 && crypto.timingSafeEqual(ba, bb);
+}
+
+// "key=value" lines sorted by key, hash excluded
+function dataCheckString(fields) {
+  return Object.keys(fields)
+    .filter(k => k !== 'hash' && fields[k] != null)
+    .sort()
+    .map(k => `${k}=${fields[k]}`)
+    .join('\n');
+}
+
+// fields: query params from the widget redirect (id, first_name, username, auth_date, hash, ...)
+// → { ok: true, user } | { ok: false, error }
+function verifyLoginWidget(fields, botToken, { maxAgeSec = 86400 } = {}) {
+  if (!botToken) return { ok: false, error: 'BOT_TOKEN not set' };
+  if (!fields || !fields.hash || !fields.id) return { ok: false, error: 'Missing Telegram login data' };
+  const secret = crypto.createHash('sha256').update(botToken).digest();
+  const expected = crypto.createHmac('sha256', secret).update(dataCheckString(fields)).digest('hex');
+  if (!safeEqualHex(expected, fields.hash)) return { ok: false, error: 'Bad Telegram signature' };
+  const authDate = Number(fields.auth_date) || 0;
+  if (Date.now() / 1000 - authDate > maxAgeSec) return { ok: false, error: 'Telegram login expired' };
+  return {
+    ok: true,
+    user: { id: String(fields.id), username: fields.username || null, first_name: fields.first_name || null }
+  };
+}
+
+// Parse initData without checking it — only for storing flagged (unverified) events
+function parseInitDataUser(initData) {
+  try {
+    const user = JSON.parse(new URLSearchParams(String(initData || '')).get('user') || 'null');
+    return user && user.id ? user : null;
+  } catch {
+    return null;
+  }
+}
+
+// initData: raw Telegram.WebApp.initData query string
+// → { ok: true, user, authDate } | { ok: false, error }
+function verifyWebAppInitData(initData, botToken, { maxAgeSec = 86400 } = {}) {
+  if (!botToken) return { ok: false, error: 'BOT_TOKEN not set' };
+  if (!initData || typeof initData !== 'string') return { ok: false, error: 'Missing initData' };
+  const fields = Object.fromEntries(new URLSearchParams(initData));
+  if (!fields.hash) return { ok: false, error: 'initData has no hash' };
+  const secret = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+  const expected = crypto.createHmac('sha256', secret).update(dataCheckString(fields)).digest('hex');
+  if (!safeEqualHex(expected, fields.hash)) return { ok: false, error: 'Bad initData signature' };
+  const authDate = Number(fields.auth_date) || 0;
+  if (Date.now() / 1000 - authDate > maxAgeSec) return { ok: false, error: 'initData expired' };
+  const user = parseInitDataUser(initData);
+  if (!user) return { ok: false, error: 'initData has no user' };
+  return { ok: true, user, authDate };
+}
+
+module.exports = { verifyLoginWidget, verifyWebAppInitData, parseInitDataUser };
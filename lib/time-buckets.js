@@ -0,0 +1,93 @@
+// ──────────────────────────────────────────────
+// Time-bucketed rollup index shared by the stats rollups
+// Every event with created_at lands in an hour bucket ("YYYY-MM-DDTHH", UTC) and a day bucket
+// ("YYYY-MM-DD", local day in the default tz). What a bucket holds is up to the caller
+// (empty() / add(bucket, e)). A range in another tz is answered from the hour buckets,
+// which is exact for whole-hour offsets (lib/tz.js enforces that).
+// Ranges are walked key by key (clamped to the oldest/newest bucket), so a query costs the
+// length of the range, not the size of the history.
+// ──────────────────────────────────────────────
+const { DEFAULT_TZ, localDay, localHour } = require('./tz');
+
+const hourKey = iso => iso.slice(0, 13);
+const hourStart = key => Date.parse(key + ':00:00.000Z');
+const nextHour = key => new Date(hourStart(key) + 3600 * 1000).toISOString().slice(0, 13);
+const nextDay = key => new Date(Date.parse(key + 'T00:00:00.000Z') + 86400 * 1000).toISOString().slice(0, 10);
+
+function createTimeBuckets({ tz: defaultTz = DEFAULT_TZ, empty, add }) {
+  const hours = new Map();
+  const days = new Map();
+  const dayOfHour = new Map(); // UTC hour key → local day in defaultTz
+  const bounds = new Map([[hours, { first: null, last: null }], [days, { first: null, last: null }]]);
+
+  function bucket(map, key) {
+    let b = map.get(key);
+    if (!b) {
+      b = empty();
+      map.set(key, b);
+      const k = bounds.get(map);
+      if (k.first === null || key < k.first) k.first = key;
+      if (k.last === null || key > k.last) k.last = key;
+    }
+    return b;
+  }
+
+  function localDayOfHour(key) {
+    let d = dayOfHour.get(key);
+    if (!d) {
+      d = localDay(hourStart(key), defaultTz);
+      dayOfHour.set(key, d);
+    }
+    return d;
+  }
+
+  // false when the event has no created_at
+  function insert(e) {
+    if (!e || typeof e.created_at !== 'string') return false;
+    const hk = hourKey(e.created_at);
+    add(bucket(hours, hk), e);
+    add(bucket(days, localDayOfHour(hk)), e);
+    return true;
+  }
+
+  // [key, bucket] for fromKey <= key < toKey (null = open end), oldest first
+  function walk(map, fromKey, toKey, next) {
+    const { first, last } = bounds.get(map);
+    const out = [];
+    if (first === null) return out;
+    for (let key = fromKey !== null && fromKey > first ? fromKey : first;
+      key <= last && (toKey === null || key < toKey);
+      key = next(key)) {
+      const b = map.get(key);
+      if (b) out.push([key, b]);
+    }
+    return out;
+  }
+
+  // Buckets covering range { from, to, wholeDays } (ISO strings, to exclusive, null = open end)
+  // as [localDay, bucket, utcHourKey|null]. Day buckets are used when tz is the default and
+  // the range is whole local days; otherwise (or with hourly) hour buckets.
+  function bucketsFor(range, tz = defaultTz, { hourly = false } = {}) {
+    const { from, to } = range;
+    if (!hourly && tz === defaultTz && range.wholeDays) {
+      const fromKey = from ? localDay(Date.parse(from), tz) : null;
+      const toKey = to ? localDay(Date.parse(to), tz) : null;
+      return walk(days, fromKey, toKey, nextDay).map(([key, b]) => [key, b, null]);
+    }
+    const fromKey = from ? hourKey(from) : null;
+    const toKey = to ? hourKey(to) : null;
+    return walk(hours, fromKey, toKey, nextHour)
+      .map(([key, b]) => [tz === defaultTz ? localDayOfHour(key) : localDay(hourStart(key), tz), b, key]);
+  }
+
+  // Hour buckets in range as [{ hour: local 'YYYY-MM-DDTHH' in tz, bucket }], oldest first
+  function hoursFor(range, tz = defaultTz) {
+    return bucketsFor(range, tz, { hourly: true })
+      .sort((a, b) => (a[2] < b[2] ? -1 : 1))
+      .map(([, b, key]) => ({ hour: localHour(hourStart(key), tz), bucket: b }));
+  }
+
+  return { insert, bucketsFor, hoursFor };
+}
+
+module.exports = { createTimeBuckets };
@@ -0,0 +1,88 @@
+// ──────────────────────────────────────────────
+// Time zone helpers for reporting (IANA names via Intl, no extra dependency)
+// Stats are rolled up per UTC hour, so a zone must have a whole-hour UTC offset
+// (Asia/Bangkok, Europe/London, America/New_York ... — not Asia/Kolkata +05:30).
+// ──────────────────────────────────────────────
+const DEFAULT_TZ = process.env.STATS_TZ || 'Asia/Bangkok';
+
+const _formatters = new Map();
+function formatter(tz) {
+  let f = _formatters.get(tz);
+  if (!f) {
+    f = new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+    _formatters.set(tz, f);
+  }
+  return f;
+}
+
+// { year, month, day, hour, minute, second } of a UTC instant in tz
+function partsIn(ms, tz) {
+  const out = {};
+  for (const p of formatter(tz).formatToParts(new Date(ms))) {
+    if (p.type !== 'literal') out[p.type] = Number(p.value);
+  }
+  return out;
+}
+
+// Minutes to add to UTC to get local time in tz at that instant
+function offsetMinutes(ms, tz) {
+  const p = partsIn(ms, tz);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(ms / 1000) * 1000) / 60000);
+}
+
+function isValidTz(tz) {
+  try {
+    formatter(tz);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Whole-hour offset now and half a year away (covers both sides of DST)
+function hasWholeHourOffset(tz) {
+  const now = Date.now();
+  return [now, now + 182 * 24 * 3600 * 1000].every(ms => offsetMinutes(ms, tz) % 60 === 0);
+}
+
+const pad = n => String(n).padStart(2, '0');
+
+// 'YYYY-MM-DD' of a UTC instant in tz
+function localDay(ms, tz) {
+  const p = partsIn(ms, tz);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+// 'YYYY-MM-DDTHH' of a UTC instant in tz
+function localHour(ms, tz) {
+  const p = partsIn(ms, tz);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}`;
+}
+
+// UTC instant of local midnight starting 'YYYY-MM-DD' in tz
+function zonedMidnight(dayStr, tz) {
+  const naive = Date.parse(dayStr + 'T00:00:00.000Z');
+  let ms = naive - offsetMinutes(naive, tz) * 60000;
+  // Second pass in case the offset differs at the corrected instant (DST change that day)
+  ms = naive - offsetMinutes(ms, tz) * 60000;
+  return ms;
+}
+
+// 'YYYY-MM-DD' + n calendar days (no time zone involved)
+function addDays(dayStr, n) {
+  return new Date(Date.parse(dayStr + 'T00:00:00.000Z') + n * 24 * 3600 * 1000).toISOString().slice(0, 10);
+}
+
+// Query param → tz name, or throws with a message for a 400
+function resolveTz(value) {
+  const tz = value ? String(value) : DEFAULT_TZ;
+  if (!isValidTz(tz)) throw new Error(`Unknown time zone: ${tz}`);
+  if (!hasWholeHourOffset(tz)) throw new Error(`Time zone ${tz} has a non whole-hour UTC offset; stats are rolled up per hour`);
+  return tz;
+}
+
+module.exports = { DEFAULT_TZ, resolveTz, localDay, localHour, zonedMidnight, addDays, offsetMinutes };
@@ -0,0 +1,293 @@
+// ──────────────────────────────────────────────
+// WebSocket relay for the reverse proxies (lib/reverse-proxy.js)
+// The upstream socket is opened first and the browser's handshake is only completed once it's
+// up, so the subprotocol the game server picked is the one the browser gets back (and a refused
+// upstream handshake shows up as an HTTP error instead of a socket that opens and dies). It also
+// means nothing the browser sends can arrive before the upstream is ready to take it.
+// Frames keep their text/binary type. When one side reads faster than the other can take,
+// the fast side is paused until the slow side's buffer drains.
+// Close codes/reasons are passed through to the other side; both sides are pinged and a peer
+// that misses a pong is dropped; sockets with no traffic for idleTimeoutMs are closed.
+// The last closes (who, code, reason, duration) are kept in status() for diagnosing drops.
+// ──────────────────────────────────────────────
+const WebSocket = require('ws');
+
+const HIGH_WATER_BYTES = 1024 * 1024;
+const LOW_WATER_BYTES = 256 * 1024;
+const RECENT_CLOSES = 50;
+
+// Codes that may be sent in a close frame (1005/1006/1015 only ever describe one locally)
+function isSendableCode(code) {
+  return (code >= 1000 && code <= 1014 && code !== 1004 && code !== 1005 && code !== 1006) ||
+    (code >= 3000 && code <= 4999);
+}
+
+function rejectSocket(socket, status, text) {
+  if (socket.destroyed) return;
+  socket.end(`HTTP/1.1 ${status} ${text}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+}
+
+// Sec-WebSocket-Protocol: "a, b" → ['a', 'b']
+function requestedProtocols(req) {
+  return String(req.headers['sec-websocket-protocol'] || '')
+    .split(',')
+    .map(p => p.trim())
+    .filter(Boolean);
+}
+
+// Close ws the way its peer closed the other side; fallback is used when that code can't be
+// sent (the peer vanished without a close frame)
+function closeLike(ws, code, reason, fallback) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+  try {
+    if (isSendableCode(code)) ws.close(code, reason);
+    else if (code === 1005) ws.close();
+    else ws.close(fallback.code, fallback.reason);
+  } catch (_) {
+    ws.terminate();
+  }
+}
+
+function createWsRelay({
+  handshakeTimeoutMs = 12000,
+  pingIntervalMs = 30000,
+  idleTimeoutMs = 10 * 60 * 1000, // 0 = never
+  maxPerIp = 20,
+  maxConnections = 2000,
+  maxPayloadBytes = 16 * 1024 * 1024,
+  clientIp = req => req.socket.remoteAddress // behind a reverse proxy: resolve X-Forwarded-For per its trust setting
+} = {}) {
+  const stats = new Map(); // provider id → counters
+  const upstreamProtocol = new WeakMap(); // upgrade req → protocol chosen upstream
+  const perIp = new Map(); // ip → open + pending relays
+  const relays = new Set(); // open relays, walked by the heartbeat
+  const recentCloses = [];
+  let connections = 0;
+  const wss = new WebSocket.Server({
+    noServer: true,
+    maxPayload: maxPayloadBytes,
+    handleProtocols: (protocols, req) => upstreamProtocol.get(req) || false
+  });
+
+  function statsFor(id) {
+    let s = stats.get(id);
+    if (!s) {
+      s = {
+        active: 0, opened: 0, failed: 0, rejected: 0, deadPeers: 0, idleTimeouts: 0,
+        bytesUp: 0, bytesDown: 0, messagesUp: 0, messagesDown: 0, pauses: 0
+      };
+      stats.set(id, s);
+    }
+    return s;
+  }
+
+  // from → to, pausing from while to has more than HIGH_WATER_BYTES queued
+  function pipe(from, to, onFrame) {
+    from.on('message', (data, isBinary) => {
+      if (to.readyState !== WebSocket.OPEN) return;
+      onFrame(data.length);
+      to.send(data, { binary: isBinary }, () => {
+        if (from.isPaused && to.bufferedAmount < LOW_WATER_BYTES) from.resume();
+      });
+      if (!from.isPaused && to.bufferedAmount > HIGH_WATER_BYTES) {
+        from.pause();
+        onFrame(0, true);
+      }
+    });
+  }
+
+  function heartbeat() {
+    const now = Date.now();
+    for (const r of relays) {
+      if (idleTimeoutMs && now - r.lastActivity > idleTimeoutMs) {
+        r.s.idleTimeouts++;
+        r.end('relay', 1001, 'Idle timeout');
+        continue;
+      }
+      for (const side of [r.client, r.backend]) {
+        if (side.readyState !== WebSocket.OPEN) continue;
+        if (!side.alive) {
+          r.s.deadPeers++;
+          side.missedPong = true;
+          side.terminate(); // → 'close' 1006 → the other side gets the fallback code
+          continue;
+        }
+        side.alive = false;
+        try { side.ping(); } catch (_) {}
+      }
+    }
+  }
+  if (pingIntervalMs) setInterval(heartbeat, pingIntervalMs).unref();
+
+  // Relay an upgrade request to target.url.
+  // target: { url, via?, agent?, rejectUnauthorized?, headers? } — via/agent/rejectUnauthorized as from
+  // connectOptions() (lib/http.js); via is told how the handshake went. headers go on the handshake
+  function relay(id, req, socket, head, target) {
+    const s = statsFor(id);
+    const label = `[${id.toUpperCase()}-WS]`;
+    const ip = clientIp(req) || 'unknown';
+    if (connections >= maxConnections) {
+      s.rejected++;
+      console.warn(`${label} ${maxConnections} sockets open — refused`);
+      return rejectSocket(socket, 503, 'Service Unavailable');
+    }
+    if ((perIp.get(ip) || 0) >= maxPerIp) {
+      s.rejected++;
+      console.warn(`${label} ${ip} already has ${maxPerIp} sockets — refused`);
+      return rejectSocket(socket, 429, 'Too Many Requests');
+    }
+    connections++;
+    perIp.set(ip, (perIp.get(ip) || 0) + 1);
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      connections--;
+      const n = perIp.get(ip) - 1;
+      if (n > 0) perIp.set(ip, n);
+      else perIp.delete(ip);
+    };
+
+    const via = target.via || null;
+    let backend;
+    try {
+      backend = new WebSocket(target.url, requestedProtocols(req), {
+        agent: target.agent,
+        rejectUnauthorized: target.rejectUnauthorized !== false,
+        headers: target.headers || {},
+        handshakeTimeout: handshakeTimeoutMs,
+        maxPayload: maxPayloadBytes
+      });
+    } catch (err) {
+      // Malformed subprotocol list and the like
+      s.failed++;
+      release();
+      return rejectSocket(socket, 400, 'Bad Request');
+    }
+
+    let settled = false;
+    const fail = (status, text, reason) => {
+      if (settled) return;
+      settled = true;
+      s.failed++;
+      release();
+      console.error(`${label} ${target.url.substring(0, 80)} → ${reason}`);
+      rejectSocket(socket, status, text);
+    };
+    const onClientGone = () => {
+      if (settled) return;
+      settled = true;
+      release();
+      backend.terminate();
+    };
+    socket.on('close', onClientGone);
+    socket.on('error', onClientGone);
+
+    backend.on('unexpected-response', (upReq, upRes) => {
+      if (via) via.done();
+      upRes.resume();
+      fail(502, 'Bad Gateway', `upstream answered ${upRes.statusCode}`);
+      upReq.destroy();
+    });
+    backend.on('error', (err) => {
+      if (settled) return;
+      if (via) via.done(err);
+      fail(502, 'Bad Gateway', err.message);
+    });
+
+    backend.on('open', () => {
+      if (via) via.done();
+      if (settled) return backend.close();
+      settled = true;
+      socket.removeListener('close', onClientGone);
+      socket.removeListener('error', onClientGone);
+      if (socket.destroyed) {
+        release();
+        return backend.terminate();
+      }
+      if (backend.protocol) upstreamProtocol.set(req, backend.protocol);
+      wss.handleUpgrade(req, socket, head, client => attach(id, s, label, target, client, backend, release));
+    });
+  }
+
+  function attach(id, s, label, target, client, backend, release) {
+    s.active++;
+    s.opened++;
+    const startedAt = Date.now();
+    const r = { s, client, backend, lastActivity: startedAt };
+    client.alive = backend.alive = true;
+    client.on('pong', () => { client.alive = true; });
+    backend.on('pong', () => { backend.alive = true; });
+    pipe(client, backend, (bytes, paused) => {
+      if (paused) return s.pauses++;
+      r.lastActivity = Date.now();
+      s.messagesUp++;
+      s.bytesUp += bytes;
+    });
+    pipe(backend, client, (bytes, paused) => {
+      if (paused) return s.pauses++;
+      r.lastActivity = Date.now();
+      s.messagesDown++;
+      s.bytesDown += bytes;
+    });
+
+    let ended = false;
+    // by: 'client' | 'upstream' | 'relay' — whoever closed first
+    r.end = (by, code, reason) => {
+      if (ended) return;
+      ended = true;
+      relays.delete(r);
+      s.active--;
+      release();
+      const text = Buffer.isBuffer(reason) ? reason.toString('utf-8') : String(reason || '');
+      const entry = {
+        at: new Date().toISOString(),
+        provider: id,
+        host: new URL(target.url).host,
+        by,
+        code,
+        reason: text,
+        durationSec: Math.round((Date.now() - startedAt) / 1000)
+      };
+      recentCloses.push(entry);
+      if (recentCloses.length > RECENT_CLOSES) recentCloses.shift();
+      if (code !== 1000 && code !== 1001 && code !== 1005) {
+        console.warn(`${label} ${entry.host} closed by ${by}: ${code} ${text} after ${entry.durationSec}s`);
+      }
+      if (by === 'relay') {
+        closeLike(client, code, reason);
+        closeLike(backend, code, reason);
+      } else if (by === 'upstream') {
+        closeLike(client, code, reason, { code: 1014, reason: 'Upstream connection lost' });
+      } else {
+        closeLike(backend, code, reason, { code: 1001, reason: 'Client gone' });
+      }
+    };
+    relays.add(r);
+
+    client.on('close', (code, reason) => r.end('client', code, client.missedPong ? 'No pong' : reason));
+    backend.on('close', (code, reason) => r.end('upstream', code, backend.missedPong ? 'No pong' : reason));
+    // 'close' follows every 'error' (oversized frame, protocol error, reset)
+    client.on('error', (err) => console.error(`${label} client socket:`, err.message));
+    backend.on('error', (err) => console.error(`${label} upstream socket:`, err.message));
+  }
+
+  function status() {
+    const providers = {};
+    const totals = { active: 0, opened: 0, failed: 0, rejected: 0, bytesUp: 0, bytesDown: 0 };
+    for (const [id, s] of stats) {
+      providers[id] = { ...s };
+      for (const k of Object.keys(totals)) totals[k] += s[k];
+    }
+    return {
+      ...totals,
+      limits: { maxPerIp, maxConnections, idleTimeoutSec: idleTimeoutMs / 1000, pingIntervalSec: pingIntervalMs / 1000 },
+      providers,
+      recentCloses: recentCloses.slice().reverse()
+    };
+  }
+
+  return { relay, status };
+}
+
+module.exports = { createWsRelay };
@@ -8,68 +8,16 @@
   const pathParts = window.location.pathname.split('/').filter(Boolean);
   const currentProvider = (pathParts[0] === 'catalog' && pathParts[1]) ? pathParts[1] : 'jili';
 
-  // Provider config
-  const PROVIDER_CONFIG = {
-    jili: {
-      logo: '/images/jili-logo.png',
-      name: 'JILI GAMES',
-      categories: [
-        { key: 'all', label: 'ทั้งหมด' },
-        { key: 'slot', label: 'สล็อต' },
-        { key: 'fishing', label: 'ยิงปลา' },
-        { key: 'tableandcard', label: 'ไพ่' },
-        { key: 'bingo', label: 'บิงโก' },
-        { key: 'casino', label: 'คาสิโน' }
-      ]
-    },
-    pp: {
-      logo: '/images/pragmatic-logo.png',
-      name: 'Pragmatic Play',
-      categories: [
-        { key: 'all', label: 'ทั้งหมด' },
-        { key: 'slot', label: 'สล็อต' }
-      ]
-    },
-    joker: {
-      logo: '/images/joker-logo.png',
-      name: 'Joker Gaming',
-      categories: [
-        { key: 'all', label: 'ทั้งหมด' },
-        { key: 'slot', label: 'สล็อต' },
-        { key: 'fishing', label: 'ยิงปลา' },
-        { key: 'bingo', label: 'บิงโก' },
-        { key: 'ecasino', label: 'E-Games' }
-      ]
-    },
-    cq9: {
-      logo: '/images/cq9-logo.png',
-      name: 'CQ9 Gaming',
-      categories: [
-        { key: 'all', label: 'ทั้งหมด' },
-        { key: 'slot', label: 'สล็อต' },
-        { key: 'fishing', label: 'ยิงปลา' },
-        { key: 'table', label: 'ไพ่ / บาคาร่า' },
-        { key: 'arcade', label: 'อาร์เคด' },
-        { key: 'other', label: 'อื่น ๆ' }
-      ]
-    },
-    pg: {
-      logo: '/images/pgsoft-logo.png',
-      name: 'PG Soft',
-      categories: [
-        { key: 'all', label: 'ทั้งหมด' },
-        { key: 'slot', label: 'สล็อต' }
-      ]
-    }
-  };
-
-  const config = PROVIDER_CONFIG[currentProvider] || PROVIDER_CONFIG.jili;
-  const providerLogoUrl = config.logo;
+  // Provider config — logo, name and category tabs come from /api/providers/:provider
+  // (declared by each provider module on the server)
+  let config = { logo: '', name: '', categories: [{ key: 'all', label: 'ทั้งหมด' }] };
+  let providerLogoUrl = '';
 
   // State
   let allGames = [];
   let currentCategory = 'all';
   let searchTerm = '';
+  let searchResults = null; // ranked matches from /api/search while a search term is active
   let isLoading = false;
   let viewMode = 'featured'; // 'featured' | 'all'
 
@@ -85,25 +33,39 @@
   const loadingSpinner = document.getElementById('loadingSpinner');
   const scrollTopBtn = document.getElementById('scrollTopBtn');
 
+  // ส่ง initData ดิบ ให้ server ตรวจลายเซ็นเอง — ไม่ส่ง user id/ชื่อจาก initDataUnsafe
   function sendBotEventIfTelegram(action) {
-    var user = typeof Telegram !== 'undefined' && Telegram.WebApp && Telegram.WebApp.initDataUnsafe && Telegram.WebApp.initDataUnsafe.user;
-    if (!user) return;
+    var initData = typeof Telegram !== 'undefined' && Telegram.WebApp && Telegram.WebApp.initData;
+    if (!initData) return;
     fetch('/api/bot-event', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        telegram_user_id: user.id,
-        username: user.username || null,
-        first_name: user.first_name || null,
-        action: action
-      })
+      body: JSON.stringify({ initData: initData, action: action, provider: currentProvider })
     }).catch(function () {});
   }
 
+  // ──────── Load Provider Config ────────
+  async function loadProviderConfig() {
+    try {
+      const res = await fetch('/api/providers/' + encodeURIComponent(currentProvider));
+      if (!res.ok) return;
+      const provider = await res.json();
+      config = {
+        logo: provider.logo || '',
+        name: provider.displayName || provider.name || currentProvider,
+        categories: Array.isArray(provider.categories) && provider.categories.length ? provider.categories : config.categories
+      };
+      providerLogoUrl = config.logo;
+    } catch (err) {
+      console.error('Failed to load provider config:', err);
+    }
+  }
+
   // ──────── Init ────────
-  function init() {
+  async function init() {
     TelegramApp.init();
     sendBotEventIfTelegram('open_webapp');
+    await loadProviderConfig();
 
     const headerLogo = document.getElementById('headerProviderLogo');
     const headerTitle = document.getElementById('headerTitle');
@@ -158,6 +120,7 @@
       } else {
         searchInput.value = '';
         searchTerm = '';
+        searchResults = null;
         renderGames();
       }
     });
@@ -167,7 +130,7 @@
       clearTimeout(searchTimeout);
       searchTimeout = setTimeout(() => {
         searchTerm = e.target.value.trim();
-        renderGames();
+        searchGames(searchTerm);
       }, 300);
     });
 
@@ -228,9 +191,28 @@
     }
   }
 
+  // ──────── Search (server-side: typo-tolerant, Thai aliases, ranked) ────────
+  async function searchGames(term) {
+    if (!term) {
+      searchResults = null;
+      renderGames();
+      return;
+    }
+    try {
+      const res = await fetch('/api/search?provider=' + encodeURIComponent(currentProvider) + '&limit=200&q=' + encodeURIComponent(term));
+      const data = await res.json();
+      if (term !== searchTerm) return; // a newer search is in flight
+      searchResults = data.results || [];
+    } catch (err) {
+      console.error('Search failed:', err);
+      searchResults = allGames.filter(g => (g.name || '').toLowerCase().includes(term.toLowerCase()));
+    }
+    renderGames();
+  }
+
   // ──────── Render Games ────────
   function renderGames() {
-    let filtered = allGames;
+    let filtered = searchTerm && searchResults ? searchResults : allGames;
 
     if (currentCategory !== 'all') {
       filtered = filtered.filter(g => {
@@ -239,11 +221,6 @@
       });
     }
 
-    if (searchTerm) {
-      const term = searchTerm.toLowerCase();
-      filtered = filtered.filter(g => (g.name || '').toLowerCase().includes(term));
-    }
-
     gameGrid.innerHTML = '';
 
     if (filtered.length === 0) {
@@ -277,6 +254,7 @@
 
     card.innerHTML =
       '<span class="play-badge">DEMO</span>' +
+      (game.flags && game.flags.new ? '<span class="new-badge">NEW</span>' : '') +
       '<img class="card-img" src="' + imgSrc + '" alt="' + safeName + '" loading="lazy" ' +
         'onerror="this.src=\'' + providerLogoUrl + '\';this.onerror=null;this.parentElement.classList.add(\'game-card--logo-placeholder\');">' +
       '<div class="card-body">' +
@@ -286,7 +264,7 @@
 
     card.addEventListener('click', () => {
       TelegramApp.hapticFeedback('medium');
-      window.location.href = game.playUrl || ('/play/' + currentProvider + '/' + (game.slug || game.id || game.code));
+      window.location.href = game.playUrl || ('/play/' + currentProvider + '/' + encodeURIComponent(game.key));
     });
 
     return card;
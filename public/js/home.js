@@ -16,18 +16,14 @@
     loadProviders();
   }
 
+  // initData ดิบ — server ตรวจ HMAC แล้วดึง user จากในนั้นเอง
   function sendBotEventIfTelegram(action) {
-    var user = typeof Telegram !== 'undefined' && Telegram.WebApp && Telegram.WebApp.initDataUnsafe && Telegram.WebApp.initDataUnsafe.user;
-    if (!user) return;
+    var initData = typeof Telegram !== 'undefined' && Telegram.WebApp && Telegram.WebApp.initData;
+    if (!initData) return;
     fetch('/api/bot-event', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        telegram_user_id: user.id,
-        username: user.username || null,
-        first_name: user.first_name || null,
-        action: action
-      })
+      body: JSON.stringify({ initData: initData, action: action })
     }).catch(function () {});
   }
 
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+// ──────────────────────────────────────────────
+// PG Soft Games Scraper - Puppeteer
+// Scrapes game list from pgsoft.com/en/games/ → data/pg-games.json
+// ──────────────────────────────────────────────
+
+const puppeteer = require('puppeteer');
+const fs = require('fs');
+const path = require('path');
+const { writeGames } = require('./lib/catalog-guard');
+const provider = require('./lib/providers/pg');
+
+const GAMES_URL = 'https://www.pgsoft.com/en/games/';
+// --out <file>: write there instead (scheduled sync, lib/catalog-sync.js) — no seed fallback then
+const outArg = process.argv.indexOf('--out');
+const OUT_OVERRIDE = outArg !== -1 ? process.argv[outArg + 1] : null;
+const LIVE_PATH = path.join(__dirname, 'data', 'pg-games.json');
+const OUTPUT_PATH = OUT_OVERRIDE || LIVE_PATH;
+const SEED_PATH = path.join(__dirname, 'data', 'pg-seed-games.json');
+
+async function scrapeGames() {
+  console.log('🔍 Starting PG Soft scraper...\n');
+
+  let browser;
+  try {
+    browser = await puppeteer.launch({
+      headless: 'new',
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-gpu',
+        '--ignore-certificate-errors'
+      ]
+    });
+
+    const page = await browser.newPage();
+    await page.setUserAgent(
+      'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+    );
+    await page.setViewport({ width: 1920, height: 1080 });
+
+    console.log(`📡 Navigating to ${GAMES_URL}...`);
+    await page.goto(GAMES_URL, { waitUntil: 'networkidle2', timeout: 60000 });
+
+    // The list is lazy-loaded while scrolling — scroll until the page stops growing
+    console.log('📜 Loading all games (scrolling)...');
+    let lastHeight = 0;
+    for (let i = 0; i < 50; i++) {
+      const height = await page.evaluate(() => document.body.scrollHeight);
+      if (height === lastHeight) break;
+      lastHeight = height;
+      await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+      await new Promise(r => setTimeout(r, 1500));
+    }
+
+    console.log('🎯 Extracting game data...');
+    const games = await page.evaluate(() => {
+      const results = [];
+      const seen = new Set();
+
+      document.querySelectorAll('a[href*="/games/"]').forEach(link => {
+        const href = link.getAttribute('href') || '';
+        const codeMatch = href.match(/\/games\/([a-z0-9-]+)\/?(?:[?#].*)?$/);
+        if (!codeMatch) return;
+
+        const code = codeMatch[1];
+        if (seen.has(code) || code === 'page') return;
+
+        const card = link.closest('[data-game-id], li, article, .game, .game-item') || link;
+        const img = card.querySelector('img');
+        const name = link.getAttribute('title') ||
+          card.querySelector('.game-name, .game__title, h3, h4')?.textContent?.trim() ||
+          (img && img.getAttribute('alt')) || '';
+        if (!name) return;
+        seen.add(code);
+
+        let image = '';
+        if (img) {
+          image = img.getAttribute('data-src') || img.getAttribute('src') || '';
+          if (image.startsWith('data:')) image = '';
+          else if (image.startsWith('/')) image = location.origin + image;
+        }
+
+        const idAttr = card.getAttribute('data-game-id') || link.getAttribute('data-game-id');
+        const gameId = idAttr && /^\d+$/.test(idAttr) ? Number(idAttr) : undefined;
+
+        results.push({ code, gameId, name: name.trim(), category: 'Slot', image });
+      });
+
+      return results;
+    });
+
+    console.log(`✅ Found ${games.length} games\n`);
+
+    // Keep gameIds the previous list knew (the page doesn't always expose them)
+    const previous = fs.existsSync(LIVE_PATH) ? JSON.parse(fs.readFileSync(LIVE_PATH, 'utf-8')) : [];
+    const seed = fs.existsSync(SEED_PATH) ? JSON.parse(fs.readFileSync(SEED_PATH, 'utf-8')) : [];
+    const knownIds = new Map([...seed, ...previous].filter(g => g.gameId).map(g => [g.code, g.gameId]));
+    for (const g of games) {
+      if (!g.gameId && knownIds.has(g.code)) g.gameId = knownIds.get(g.code);
+    }
+
+    const dataDir = path.dirname(OUTPUT_PATH);
+    if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
+
+    writeGames(provider, OUTPUT_PATH, games, { source: 'scraper-pg.js', previousFile: LIVE_PATH });
+    console.log(`💾 Saved ${games.length} games to ${OUTPUT_PATH}`);
+
+    await browser.close();
+    return games;
+
+  } catch (err) {
+    console.error('\n❌ Scraping failed:', err.message);
+    if (browser) await browser.close();
+    if (OUT_OVERRIDE || fs.existsSync(LIVE_PATH)) throw err;
+
+    console.log('\n🔄 Falling back to seed data...');
+    if (fs.existsSync(SEED_PATH)) {
+      const seedData = JSON.parse(fs.readFileSync(SEED_PATH, 'utf-8'));
+      fs.writeFileSync(OUTPUT_PATH, JSON.stringify(seedData, null, 2));
+      console.log(`💾 Copied ${seedData.length} seed games to ${OUTPUT_PATH}`);
+      return seedData;
+    }
+
+    throw err;
+  }
+}
+
+if (require.main === module) {
+  scrapeGames()
+    .then(games => {
+      console.log(`\n✨ Done! ${games.length} PG Soft games ready.`);
+      process.exit(0);
+    })
+    .catch(err => {
+      console.error('\n💥 Fatal error:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = { scrapeGames };
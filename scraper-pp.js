@@ -7,9 +7,15 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs');
 const path = require('path');
+const { writeGames } = require('./lib/catalog-guard');
+const provider = require('./lib/providers/pp');
 
 const GAMES_URL = 'https://www.pragmaticplay.com/en/games/';
-const OUTPUT_PATH = path.join(__dirname, 'data', 'pp-games.json');
+// --out <file>: write there instead (scheduled sync, lib/catalog-sync.js) — no seed fallback then
+const outArg = process.argv.indexOf('--out');
+const OUT_OVERRIDE = outArg !== -1 ? process.argv[outArg + 1] : null;
+const LIVE_PATH = path.join(__dirname, 'data', 'pp-games.json');
+const OUTPUT_PATH = OUT_OVERRIDE || LIVE_PATH;
 const SEED_PATH = path.join(__dirname, 'data', 'pp-seed-games.json');
 
 async function scrapeGames() {
@@ -117,7 +123,8 @@ async function scrapeGames() {
     const dataDir = path.dirname(OUTPUT_PATH);
     if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
 
-    fs.writeFileSync(OUTPUT_PATH, JSON.stringify(games, null, 2));
+    // Catalog guard: a suspicious list is quarantined instead of replacing the live one
+    writeGames(provider, OUTPUT_PATH, games, { source: 'scraper-pp.js', previousFile: LIVE_PATH });
     console.log(`💾 Saved ${games.length} games to ${OUTPUT_PATH}`);
 
     await browser.close();
@@ -126,6 +133,8 @@ async function scrapeGames() {
   } catch (err) {
     console.error('\n❌ Scraping failed:', err.message);
     if (browser) await browser.close();
+    // Seed only when there is no list at all — never replace a live list after a bad scrape
+    if (OUT_OVERRIDE || fs.existsSync(LIVE_PATH)) throw err;
 
     console.log('\n🔄 Falling back to seed data...');
     if (fs.existsSync(SEED_PATH)) {
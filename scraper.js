@@ -7,9 +7,15 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs');
 const path = require('path');
+const { writeGames } = require('./lib/catalog-guard');
+const provider = require('./lib/providers/jili');
 
 const GAMES_URL = 'https://jiligames.com/games';
-const OUTPUT_PATH = path.join(__dirname, 'data', 'games.json');
+// --out <file>: write there instead (scheduled sync, lib/catalog-sync.js) — no seed fallback then
+const outArg = process.argv.indexOf('--out');
+const OUT_OVERRIDE = outArg !== -1 ? process.argv[outArg + 1] : null;
+const LIVE_PATH = path.join(__dirname, 'data', 'games.json');
+const OUTPUT_PATH = OUT_OVERRIDE || LIVE_PATH;
 const SEED_PATH = path.join(__dirname, 'data', 'seed-games.json');
 
 // Category mapping for the tabs on jiligames.com
@@ -188,7 +194,8 @@ async function scrapeGames() {
     }
 
     // Save to file
-    fs.writeFileSync(OUTPUT_PATH, JSON.stringify(cleanGames, null, 2));
+    // Catalog guard: a suspicious list is quarantined instead of replacing the live one
+    writeGames(provider, OUTPUT_PATH, cleanGames, { source: 'scraper.js', previousFile: LIVE_PATH });
     console.log(`\n💾 Saved ${cleanGames.length} games to ${OUTPUT_PATH}`);
 
     // Print summary
@@ -208,6 +215,8 @@ async function scrapeGames() {
     console.error('\n❌ Scraping failed:', err.message);
 
     if (browser) await browser.close();
+    // Seed only when there is no list at all — never replace a live list after a bad scrape
+    if (OUT_OVERRIDE || fs.existsSync(LIVE_PATH)) throw err;
 
     // Fallback to seed data
     console.log('\n🔄 Falling back to seed data...');
@@ -8,39 +8,26 @@
 //   node scripts/fetch-cq9-games-puppeteer.js
 // ──────────────────────────────────────────────
 
-const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const { request } = require('../lib/http');
+const { writeGames } = require('../lib/catalog-guard');
+const provider = require('../lib/providers/cq9');
 
 const HOME_URL = 'https://demo.cqgame.games/en/Home';
 const DATA_DIR = path.join(__dirname, '..', 'data');
-const OUT_FILE = path.join(DATA_DIR, 'cq9-games.json');
+// --out <file>: write there instead (scheduled sync, lib/catalog-sync.js)
+const outArg = process.argv.indexOf('--out');
+const LIVE_FILE = path.join(DATA_DIR, 'cq9-games.json');
+const OUT_FILE = outArg !== -1 ? process.argv[outArg + 1] : LIVE_FILE;
 
 function fetch(url) {
-  return new Promise((resolve, reject) => {
-    const u = new URL(url);
-    const opts = {
-      hostname: u.hostname,
-      path: u.pathname + u.search,
-      method: 'GET',
-      rejectUnauthorized: false,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; rv:91.0) Gecko/20100101 Firefox/91.0',
-        'Accept': 'text/html,application/json',
-        'Accept-Language': 'en-US,en;q=0.9',
-      }
-    };
-    const req = https.request(opts, (res) => {
-      const chunks = [];
-      res.on('data', c => chunks.push(c));
-      res.on('end', () => resolve({
-        statusCode: res.statusCode,
-        body: Buffer.concat(chunks).toString('utf-8')
-      }));
-    });
-    req.on('error', reject);
-    req.setTimeout(20000, () => { req.destroy(); reject(new Error('Timeout')); });
-    req.end();
+  return request(url, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; rv:91.0) Gecko/20100101 Firefox/91.0',
+      'Accept': 'text/html,application/json',
+    },
+    timeoutMs: 20000
   });
 }
 
@@ -115,7 +102,7 @@ async function main() {
     process.exit(1);
   }
   if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
-  fs.writeFileSync(OUT_FILE, JSON.stringify(games, null, 2), 'utf-8');
+  writeGames(provider, OUT_FILE, games, { source: 'fetch-cq9-games.js', previousFile: LIVE_FILE });
   console.log('Wrote', games.length, 'games to', OUT_FILE);
 }
 
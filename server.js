@@ -5,29 +5,55 @@ const fs = require('fs');
 const { Telegraf, Markup } = require('telegraf');
 const https = require('https');
 const url = require('url');
-const { HttpsProxyAgent } = require('https-proxy-agent');
-const WebSocket = require('ws');
+const { pipeline } = require('stream');
+const proxyaddr = require('proxy-addr');
+const { outbound, request, tlsVerify } = require('./lib/http');
+const { renderPlayerPage, renderAdminLoginPage, renderProxyErrorPage } = require('./lib/html');
+const { createReverseProxy } = require('./lib/reverse-proxy');
+const { createAssetCache } = require('./lib/asset-cache');
+const { createCookieJar } = require('./lib/cookie-jar');
+const { createWsRelay } = require('./lib/ws-relay');
+const adminAuth = require('./lib/admin-auth');
+const { verifyWebAppInitData, parseInitDataUser } = require('./lib/telegram-auth');
+const { openEventStore } = require('./lib/event-store');
+const { createRollups } = require('./lib/bot-rollups');
+const { createPlayRollups } = require('./lib/play-rollups');
+const { createResolveCache } = require('./lib/resolve-cache');
+const { createCatalogSync } = require('./lib/catalog-sync');
+const { createCatalogChangelog } = require('./lib/catalog-changes');
+const { writeGames, listQuarantine, readQuarantine, removeQuarantine } = require('./lib/catalog-guard');
+const { toCanonical, toGlobalCategory: toGlobalCategoryIn } = require('./lib/game-model');
+const { resolveTz, zonedMidnight, addDays } = require('./lib/tz');
+const providerRegistry = require('./lib/providers');
+const catalog = require('./lib/catalog-store');
+const searchIndex = require('./lib/search-index');
+const { toProxyPath } = require('./lib/providers/jili');
+const { parseCQ9GamesFromBody } = require('./lib/providers/cq9');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+
+// X-Forwarded-For / -Proto are only believed from these proxies (req.ip, req.secure, WS per-IP limit)
+// TRUST_PROXY: hop count (1) or addresses/subnets/loopback, uniquelocal; default loopback
+const TRUST_PROXY = process.env.TRUST_PROXY || 'loopback';
+app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY.split(',').map(s => s.trim()));
 const BOT_TOKEN = process.env.BOT_TOKEN;
 const WEBAPP_URL = process.env.WEBAPP_URL || `http://localhost:${PORT}`;
-const OUTBOUND_PROXY_URL = process.env.OUTBOUND_PROXY_URL;
-
-// Cached proxy agent for outbound requests (for bypassing regional blocks)
-let _jiliProxyAgent = null;
-function getJiliOutboundAgent(hostname) {
-  if (!OUTBOUND_PROXY_URL) return undefined;
-  if (!hostname || !hostname.endsWith('jiligames.com')) return undefined;
-  if (!_jiliProxyAgent) {
-    _jiliProxyAgent = new HttpsProxyAgent(OUTBOUND_PROXY_URL);
-  }
-  return _jiliProxyAgent;
-}
 
-function escapeHtml(s) {
-  if (typeof s !== 'string') return '';
-  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+// Catalog data is loaded once and hot-reloaded when files in data/ change
+catalog.init();
+const loadProviders = catalog.getProviders;
+
+// Conditional GET for catalog APIs: ETag follows the catalog store version.
+// Returns true when a 304 was sent.
+function sendNotModified(req, res) {
+  res.setHeader('ETag', catalog.etag());
+  res.setHeader('Cache-Control', 'no-cache');
+  if (req.fresh) {
+    res.status(304).end();
+    return true;
+  }
+  return false;
 }
 
 // Request logging
@@ -37,734 +63,107 @@ app.use((req, res, next) => {
 });
 
 // ──────────────────────────────────────────────
-// Load game data
+// Canonical games (lib/game-model.js) — every games API answers in this shape
+// Global category mapping (for "เลือกตามประเภทเกม") comes from data/categories-map.json
 // ──────────────────────────────────────────────
-function loadGames() {
-  const gamesPath = path.join(__dirname, 'data', 'games.json');
-  const seedPath = path.join(__dirname, 'data', 'seed-games.json');
-
-  try {
-    if (fs.existsSync(gamesPath)) {
-      return JSON.parse(fs.readFileSync(gamesPath, 'utf-8'));
-    }
-  } catch (err) {
-    console.warn('Failed to load games.json, falling back to seed data:', err.message);
-  }
-
-  try {
-    return JSON.parse(fs.readFileSync(seedPath, 'utf-8'));
-  } catch (err) {
-    console.error('Failed to load seed-games.json:', err.message);
-    return [];
-  }
-}
-
-// ──────────────────────────────────────────────
-// Load Pragmatic Play game data
-// ──────────────────────────────────────────────
-function loadPPGames() {
-  const gamesPath = path.join(__dirname, 'data', 'pp-games.json');
-  const seedPath = path.join(__dirname, 'data', 'pp-seed-games.json');
-
-  try {
-    if (fs.existsSync(gamesPath)) {
-      return JSON.parse(fs.readFileSync(gamesPath, 'utf-8'));
-    }
-  } catch (err) {
-    console.warn('Failed to load pp-games.json, falling back to seed data:', err.message);
-  }
-
-  try {
-    return JSON.parse(fs.readFileSync(seedPath, 'utf-8'));
-  } catch (err) {
-    console.error('Failed to load pp-seed-games.json:', err.message);
-    return [];
-  }
-}
-
-// ──────────────────────────────────────────────
-// Load Joker Gaming game data
-// ──────────────────────────────────────────────
-function loadJokerGames() {
-  const gamesPath = path.join(__dirname, 'data', 'joker-games.json');
-  const seedPath = path.join(__dirname, 'data', 'joker-seed-games.json');
-
-  try {
-    if (fs.existsSync(gamesPath)) {
-      return JSON.parse(fs.readFileSync(gamesPath, 'utf-8'));
-    }
-  } catch (err) {
-    console.warn('Failed to load joker-games.json, falling back to seed data:', err.message);
-  }
-
-  try {
-    return JSON.parse(fs.readFileSync(seedPath, 'utf-8'));
-  } catch (err) {
-    console.error('Failed to load joker-seed-games.json:', err.message);
-    return [];
-  }
-}
-
-// ──────────────────────────────────────────────
-// Load CQ9 game data (seed or cq9-games.json) and apply name overrides from cq9-names.json
-// cq9-names.json: { "209": "The Cupids", "220": "Floating Market", ... } for correct display names
-// ──────────────────────────────────────────────
-function loadCQ9NameOverrides() {
-  const namesPath = path.join(__dirname, 'data', 'cq9-names.json');
-  try {
-    if (fs.existsSync(namesPath)) {
-      const o = JSON.parse(fs.readFileSync(namesPath, 'utf-8'));
-      return o && typeof o === 'object' ? o : {};
-    }
-  } catch (err) {
-    console.warn('Failed to load cq9-names.json:', err.message);
-  }
-  return {};
-}
-
-function loadCQ9Games() {
-  const gamesPath = path.join(__dirname, 'data', 'cq9-games.json');
-  const seedPath = path.join(__dirname, 'data', 'cq9-seed-games.json');
-
-  let list = [];
-  try {
-    if (fs.existsSync(gamesPath)) {
-      const parsed = JSON.parse(fs.readFileSync(gamesPath, 'utf-8'));
-      if (Array.isArray(parsed) && parsed.length >= 5) list = parsed;
-      else console.warn('cq9-games.json has too few games (' + (parsed?.length || 0) + '), using seed');
-    }
-  } catch (err) {
-    console.warn('Failed to load cq9-games.json, falling back to seed data:', err.message);
-  }
-
-  if (list.length === 0) {
-    try {
-      list = JSON.parse(fs.readFileSync(seedPath, 'utf-8'));
-    } catch (err) {
-      console.error('Failed to load cq9-seed-games.json:', err.message);
-      return [];
-    }
-  }
-
-  const nameOverrides = loadCQ9NameOverrides();
-  if (Object.keys(nameOverrides).length > 0) {
-    list = list.map(g => {
-      const key = String(g.game_id);
-      if (nameOverrides[key] && typeof nameOverrides[key] === 'string') {
-        return { ...g, name: nameOverrides[key].trim() };
-      }
-      return g;
-    });
-  }
-  return list;
-}
-
-// Parse CQ9 game list from demo site HTML/JSON (__NEXT_DATA__ or regex fallback)
-function parseCQ9GamesFromBody(body) {
-  const games = [];
-  const seen = new Set();
-
-  function add(id, name, category) {
-    const n = Number(id);
-    if (!Number.isInteger(n) || n <= 0 || seen.has(n)) return;
-    seen.add(n);
-    games.push({
-      game_id: n,
-      name: name || `Game ${n}`,
-      category: category || 'Slot',
-      image: ''
-    });
-  }
-
-  try {
-    const nextDataMatch = body.match(/<script\s+id="__NEXT_DATA__"\s+type="application\/json">([\s\S]*?)<\/script>/);
-    if (nextDataMatch) {
-      const data = JSON.parse(nextDataMatch[1]);
-      const props = data.props && data.props.pageProps;
-      const list = props && (props.games || props.gameList || props.list || props.initialGames);
-      if (Array.isArray(list)) {
-        list.forEach(g => {
-          const id = g.game_id ?? g.gameId ?? g.id;
-          if (id != null) add(id, g.name ?? g.gameName ?? g.title, g.category ?? g.type);
-        });
-        if (games.length > 0) return games;
-      }
-      const buildId = data.buildId;
-      const page = data.props && data.props.pageProps;
-      if (page && typeof page === 'object') {
-        const walk = (o) => {
-          if (!o || typeof o !== 'object') return;
-          if (Array.isArray(o)) return o.forEach(walk);
-          if (o.game_id != null || o.gameId != null) {
-            add(o.game_id ?? o.gameId, o.name ?? o.gameName ?? o.title, o.category ?? o.type);
-            return;
-          }
-          Object.values(o).forEach(walk);
-        };
-        walk(page);
-        if (games.length > 0) return games;
-      }
-    }
-  } catch (e) {
-    // ignore JSON/parse errors, fall back to regex
-  }
-
-  const idRegex = /(?:game_id|gameId)["\s:=]+(\d+)/gi;
-  let m;
-  while ((m = idRegex.exec(body)) !== null) add(m[1]);
-  const linkRegex = /Detail\?game_id=(\d+)/g;
-  while ((m = linkRegex.exec(body)) !== null) add(m[1]);
-
-  return games;
+function toGlobalCategory(providerId, rawCategory, gameName) {
+  return toGlobalCategoryIn(catalog.getCategoriesMap(), providerId, rawCategory, gameName);
 }
 
-// ──────────────────────────────────────────────
-// Load featured game IDs/slugs/codes per provider (for hybrid: แนะนำ vs ดูทั้งหมด)
-// ──────────────────────────────────────────────
-function loadFeaturedIds(provider) {
-  const fileMap = {
-    jili: 'jili-featured.json',
-    pp: 'pp-featured.json',
-    joker: 'joker-featured.json',
-    cq9: 'cq9-featured.json'
+// raw provider record → canonical game, for one provider module
+function canonicalizer(mod) {
+  const entry = catalog.getProviders().find(p => (p.slug || p.id) === mod.id);
+  const ctx = {
+    providerName: entry ? entry.name : undefined,
+    categoriesMap: catalog.getCategoriesMap(),
+    featured: catalog.getFeatured(mod.id),
+    isNew: key => catalogChanges.isNew(mod.id, key)
   };
-  const file = path.join(__dirname, 'data', fileMap[provider]);
-  try {
-    if (fs.existsSync(file)) {
-      const arr = JSON.parse(fs.readFileSync(file, 'utf-8'));
-      return new Set(Array.isArray(arr) ? arr : []);
-    }
-  } catch (err) {
-    console.warn('Failed to load featured list for', provider, ':', err.message);
-  }
-  return new Set();
-}
-
-// ──────────────────────────────────────────────
-// Load provider data
-// ──────────────────────────────────────────────
-function loadProviders() {
-  const providersPath = path.join(__dirname, 'data', 'providers.json');
-  try {
-    return JSON.parse(fs.readFileSync(providersPath, 'utf-8'));
-  } catch (err) {
-    console.error('Failed to load providers.json:', err.message);
-    return [];
-  }
-}
-
-// ──────────────────────────────────────────────
-// Global category mapping (for "เลือกตามประเภทเกม")
-// Uses data/categories-map.json to map provider categories → slot|fishing|baccarat|table|bingo
-// ──────────────────────────────────────────────
-let _categoriesMap = null;
-function loadCategoriesMap() {
-  if (_categoriesMap) return _categoriesMap;
-  const mapPath = path.join(__dirname, 'data', 'categories-map.json');
-  try {
-    if (fs.existsSync(mapPath)) {
-      _categoriesMap = JSON.parse(fs.readFileSync(mapPath, 'utf-8'));
-      return _categoriesMap;
-    }
-  } catch (err) {
-    console.warn('Failed to load categories-map.json:', err.message);
-  }
-  _categoriesMap = { globalCategories: [], providerMaps: {}, jiliByName: {} };
-  return _categoriesMap;
-}
-
-function toGlobalCategory(providerId, rawCategory, gameName) {
-  const map = loadCategoriesMap();
-  const providerMap = map.providerMaps && map.providerMaps[providerId];
-  if (!providerMap || !rawCategory) return null;
-  const normalized = String(rawCategory).trim();
-  let out = providerMap[normalized];
-  if (out === 'byName' && map.jiliByName && gameName) {
-    const name = String(gameName).trim();
-    for (const [key, val] of Object.entries(map.jiliByName)) {
-      if (name === key || name.includes(key)) return val;
-    }
-    return 'other';
-  }
-  if (out === 'table' || out === 'bingo') return 'other';
-  return out || null;
+  return g => toCanonical(mod, g, ctx);
 }
 
 function loadAllGamesWithProvider() {
-  const providers = loadProviders();
   const list = [];
-  const providerList = [
-    { id: 'jili', slug: 'jili', name: 'JILI Games', games: loadGames(), playUrlFn: g => `/play/jili/${g.id}` },
-    { id: 'pp', slug: 'pp', name: 'Pragmatic Play', games: loadPPGames(), playUrlFn: g => `/play/pp/${g.slug}` },
-    { id: 'joker', slug: 'joker', name: 'Joker Gaming', games: loadJokerGames(), playUrlFn: g => `/play/joker/${encodeURIComponent(g.code)}` }
-  ];
-  for (const p of providerList) {
-    const enabled = providers.find(pr => pr.slug === p.slug && pr.enabled);
-    if (!enabled) continue;
-    for (const g of p.games) {
-      const name = g.name || '';
-      const rawCat = g.category || '';
-      const globalCat = toGlobalCategory(p.id, rawCat, name);
-      if (!globalCat) continue;
-      list.push({
-        ...g,
-        globalCategory: globalCat,
-        provider: { id: p.id, slug: p.slug, name: p.name },
-        playUrl: p.playUrlFn(g)
-      });
+  for (const { module: p } of catalog.listProviders({ enabledOnly: true })) {
+    const canonical = canonicalizer(p);
+    for (const g of catalog.getGames(p.id)) {
+      const game = canonical(g);
+      if (game.globalCategory) list.push(game);
     }
   }
   return list;
 }
 
-// ──────────────────────────────────────────────
-// Multi-domain Reverse Proxy for JILI Games
-// Proxies: jiligames.com, uat-wb-api.jiligames.com, casino-wbgame.jiligames.com
-// ──────────────────────────────────────────────
-
-// All JILI domains that need proxying (blocked in Thailand)
-const JILI_DOMAINS = [
-  'jiligames.com',
-  'uat-wb-api.jiligames.com',
-  'casino-wbgame.jiligames.com',
-];
-
-// Convert full URL to our proxy path: https://foo.jiligames.com/bar → /jili/foo.jiligames.com/bar
-function toProxyPath(fullUrl) {
-  try {
-    const u = new URL(fullUrl);
-    // Check if it's a JILI domain (any *.jiligames.com)
-    if (u.hostname.endsWith('jiligames.com')) {
-      return '/jili/' + u.hostname + u.pathname + u.search;
-    }
-  } catch {}
-  return null;
-}
-
-// Rewrite HTML body — replace all jiligames.com URLs with proxy paths
-// Also inject <base> tag so relative paths resolve through our proxy
-function rewriteHtml(body, targetHost, targetPathDir = '/') {
-  // Replace https://ANYTHING.jiligames.com/... with /jili/ANYTHING.jiligames.com/...
-  let html = body.replace(/https?:\/\/([a-zA-Z0-9.-]*jiligames\.com)(\/[^"'<>\s]*)/g, (match, host, path) => {
-    return '/jili/' + host + path;
-  });
-
-  // Inject <base> tag + fetch/XHR override for proxied game pages
-  if (targetHost) {
-    // 1. <base> tag — fixes relative paths (e.g. "src/polyfills.js")
-    let basePath = '/jili/' + targetHost + targetPathDir;
-    if (!basePath.endsWith('/')) basePath += '/';
-    const baseTag = `<base href="${basePath}">`;
-
-    // 2. fetch/XHR override — rewrites relative "/xxx" and full jiligames.com URLs so they go through our proxy
-    const proxyBase = '/jili/' + targetHost;
-    const overrideScript = `<script>(function(){` +
-      `var B='${proxyBase}';` +
-      `function toProxy(u){` +
-        `if(typeof u!=='string')return u;` +
-        `if(u.indexOf('/jili/')===0)return u;` +
-        `if(u.charAt(0)==='/')return B+u;` +
-        `try{var m=u.match(/^https?:\\/\\/([a-zA-Z0-9.-]*jiligames\\.com)(\\/[^?]*)?(\\?.*)?$/);if(m)return '/jili/'+m[1]+(m[2]||'/')+(m[3]||'');}catch(e){}` +
-        `return u;` +
-      `}` +
-      `var F=window.fetch;` +
-      `window.fetch=function(u,o){u=toProxy(u);return F.call(this,u,o);};` +
-      `var X=XMLHttpRequest.prototype.open;` +
-      `XMLHttpRequest.prototype.open=function(m,u){arguments[1]=toProxy(u);return X.apply(this,arguments);};` +
-      `var N=window.WebSocket;` +
-      `window.WebSocket=function(u){` +
-        `if(typeof u==='string'&&u.indexOf('jiligames.com')!==-1){` +
-          `try{var m=u.match(/wss?:\\/\\/([^/]+)(\\/[^?]*)?(\\?.*)?$/);if(m)u=(location.protocol==='https:'?'wss:':'ws:')+'//'+location.host+'/jili-ws/'+encodeURIComponent(m[1])+(m[2]||'/')+(m[3]||'');` +
-          `}catch(e){}` +
-        `}` +
-        `return new N(u);` +
-      `};` +
-      // Override Image, Script, Audio .src property to catch new Image().src = "/path"
-      `var P=function(C,p){` +
-        `var d=Object.getOwnPropertyDescriptor(C.prototype,p);` +
-        `if(d&&d.set){Object.defineProperty(C.prototype,p,{` +
-          `set:function(v){` +
-            `if(typeof v==='string'&&v.charAt(0)==='/'&&v.indexOf('/jili/')!==0)v=B+v;` +
-            `d.set.call(this,v);` +
-          `},get:d.get,configurable:true});}` +
-      `};` +
-      `try{P(HTMLImageElement,'src');}catch(e){}` +
-      `try{P(HTMLScriptElement,'src');}catch(e){}` +
-      `try{P(HTMLAudioElement,'src');}catch(e){}` +
-      `try{P(HTMLSourceElement,'src');}catch(e){}` +
-    `})();</script>`;
-
-    const injection = baseTag + overrideScript;
-
-    if (html.includes('<head>')) {
-      html = html.replace('<head>', '<head>' + injection);
-    } else if (html.includes('<HEAD>')) {
-      html = html.replace('<HEAD>', '<HEAD>' + injection);
-    } else {
-      html = injection + html;
-    }
-  }
-
-  return html;
-}
-
-// Generic JILI proxy: /jili/:hostname/rest/of/path
-app.use('/jili', (req, res) => {
-  // Extract target hostname from URL: /jili/casino-wbgame.jiligames.com/rx10000/...
-  // req.url has /jili prefix stripped by Express mount, e.g. /jiligames.com/PlusIntro/637?showGame=true
-  const fullPath = req.url;
-  const match = fullPath.match(/^\/([a-zA-Z0-9.-]*jiligames\.com)(\/[^?]*)?(\?.*)?$/);
-  if (!match) {
-    console.error('  [PROXY] Invalid path:', fullPath);
-    return res.status(400).send('Invalid proxy path');
-  }
-
-  const targetHost = match[1];
-  const targetPathWithoutQuery = match[2] || '/';
-  const targetPath = targetPathWithoutQuery + (match[3] || '');
-
-  // Extract directory part for <base> tag (e.g. /rx10000/ from /rx10000/?ssoKey=...)
-  const targetPathDir = targetPathWithoutQuery.endsWith('/')
-    ? targetPathWithoutQuery
-    : targetPathWithoutQuery.substring(0, targetPathWithoutQuery.lastIndexOf('/') + 1) || '/';
-
-  console.log(`  [PROXY] ${targetHost}${targetPath.substring(0, 80)}...`);
-
-  const options = {
-    hostname: targetHost,
-    path: targetPath,
-    method: req.method,
-    agent: getJiliOutboundAgent(targetHost),
-    headers: {
-      'User-Agent': req.headers['user-agent'] || 'Mozilla/5.0',
-      'Accept': req.headers['accept'] || '*/*',
-      'Accept-Language': req.headers['accept-language'] || 'en-US,en;q=0.9',
-      'Accept-Encoding': 'identity',
-      'Referer': `https://${targetHost}/`,
-      'Origin': `https://${targetHost}`,
-    }
-  };
-
-  // Copy cookies
-  if (req.headers.cookie) {
-    options.headers['Cookie'] = req.headers.cookie;
-  }
-
-  const proxyReq = https.request(options, (proxyRes) => {
-    res.statusCode = proxyRes.statusCode;
-
-    // Copy headers, remove security headers
-    for (const [key, value] of Object.entries(proxyRes.headers)) {
-      const k = key.toLowerCase();
-      if (k === 'x-frame-options' || k === 'x-content-type-options' ||
-          k.startsWith('content-security-policy')) continue;
-      // Rewrite Location redirects
-      if (k === 'location') {
-        let loc = value;
-        const proxied = toProxyPath(loc);
-        if (proxied) {
-          res.setHeader('Location', proxied);
-        } else if (loc.startsWith('/')) {
-          // Relative redirect on same host
-          res.setHeader('Location', '/jili/' + targetHost + loc);
-        } else {
-          res.setHeader('Location', loc);
-        }
+// Coverage of the global category mapping: which games each provider loses from
+// "เลือกตามประเภทเกม" because their raw category has no entry in categories-map.json
+function getCategoryCoverage() {
+  const providers = [];
+  for (const { module: p } of catalog.listProviders({ enabledOnly: true })) {
+    const games = catalog.getGames(p.id);
+    const unmappedCategories = {};
+    const dropped = [];
+    const byGlobal = {};
+    for (const g of games) {
+      const globalCat = toGlobalCategory(p.id, g.category || '', g.name || '');
+      if (globalCat) {
+        byGlobal[globalCat] = (byGlobal[globalCat] || 0) + 1;
         continue;
       }
-      // Rewrite Set-Cookie domains
-      if (k === 'set-cookie') {
-        const cookies = Array.isArray(value) ? value : [value];
-        const rewritten = cookies.map(c => c.replace(/domain=[^;]+;?/gi, ''));
-        res.setHeader('Set-Cookie', rewritten);
-        continue;
-      }
-      res.setHeader(key, value);
-    }
-
-    res.setHeader('Access-Control-Allow-Origin', '*');
-
-    // Check content type — if HTML, buffer and rewrite URLs
-    const ct = (proxyRes.headers['content-type'] || '').toLowerCase();
-    const accept = String(req.headers['accept'] || '').toLowerCase();
-    const fetchDest = String(req.headers['sec-fetch-dest'] || '').toLowerCase();
-    const looksLikeDocument = fetchDest === 'document' || accept.includes('text/html');
-    if (ct.includes('text/html')) {
-      const chunks = [];
-      proxyRes.on('data', chunk => chunks.push(chunk));
-      proxyRes.on('end', () => {
-        let html = Buffer.concat(chunks).toString('utf-8');
-        html = rewriteHtml(html, targetHost, targetPathDir);
-        // Remove content-length since we changed the body
-        res.removeHeader('content-length');
-        res.end(html);
-      });
-    } else if (looksLikeDocument && (ct.includes('application/json') || ct.includes('text/json') || ct.includes('application/problem+json'))) {
-      // Some JILI endpoints occasionally return JSON errors (e.g. {"ErrorCode":18,"Message":"Game disabled"...})
-      // When loaded as a document in Telegram WebView, show a friendly HTML page instead of raw JSON.
-      const chunks = [];
-      let total = 0;
-      const LIMIT = 128 * 1024; // 128KB safety cap
-      proxyRes.on('data', (chunk) => {
-        total += chunk.length;
-        if (total <= LIMIT) chunks.push(chunk);
-      });
-      proxyRes.on('end', () => {
-        const raw = Buffer.concat(chunks).toString('utf-8').trim();
-        let obj = null;
-        try { obj = JSON.parse(raw); } catch (_) {}
-
-        if (obj && typeof obj === 'object' && (obj.ErrorCode != null || obj.errorCode != null) && (obj.Message || obj.message)) {
-          const code = obj.ErrorCode ?? obj.errorCode;
-          const msg = obj.Message ?? obj.message;
-          const title = code === 18 ? 'เกมนี้ถูกปิดใช้งานชั่วคราว' : 'ไม่สามารถเปิดเกมได้';
-          const detail = `${String(msg)}${code != null ? ` (ErrorCode: ${String(code)})` : ''}`;
-
-          res.statusCode = 200;
-          res.setHeader('Content-Type', 'text/html; charset=utf-8');
-          res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, max-age=0');
-          res.setHeader('Pragma', 'no-cache');
-          res.setHeader('Expires', '0');
-          res.removeHeader('content-length');
-          res.end(`<!doctype html>
-<html lang="th"><head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width,initial-scale=1,maximum-scale=1,user-scalable=no,viewport-fit=cover">
-  <title>${escapeHtml(title)}</title>
-  <style>
-    *{box-sizing:border-box}html,body{height:100%}body{margin:0;background:#0b0b12;color:#fff;font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial,sans-serif;display:flex;align-items:center;justify-content:center;padding:20px}
-    .card{max-width:520px;width:100%;background:rgba(255,255,255,0.06);border:1px solid rgba(255,215,0,0.18);border-radius:16px;padding:22px 18px;text-align:center}
-    .icon{font-size:44px;line-height:1;margin-bottom:10px}
-    h1{font-size:18px;margin:0 0 8px}
-    p{margin:0 0 14px;color:rgba(255,255,255,0.72);font-size:13px;line-height:1.5;word-break:break-word}
-    .btns{display:flex;gap:10px;justify-content:center;flex-wrap:wrap;margin-top:6px}
-    a{display:inline-flex;align-items:center;justify-content:center;gap:8px;text-decoration:none;border-radius:12px;padding:10px 14px;font-weight:700}
-    .primary{background:linear-gradient(135deg,#FFD700,#FF8C00);color:#000}
-    .ghost{background:rgba(255,255,255,0.08);color:#fff;border:1px solid rgba(255,255,255,0.10)}
-    .meta{margin-top:12px;font-size:12px;color:rgba(255,255,255,0.45)}
-  </style>
-</head><body>
-  <div class="card">
-    <div class="icon">⚠️</div>
-    <h1>${escapeHtml(title)}</h1>
-    <p>${escapeHtml(detail)}</p>
-    <div class="btns">
-      <a class="primary" href="/catalog/jili">กลับไปเลือกเกม</a>
-      <a class="ghost" href="javascript:location.reload()">ลองโหลดใหม่</a>
-    </div>
-    <div class="meta">${escapeHtml(targetHost + targetPath)}</div>
-  </div>
-</body></html>`);
-          return;
-        }
-
-        // Not an error object → return original JSON
-        res.setHeader('Content-Type', proxyRes.headers['content-type'] || 'application/json');
-        res.removeHeader('content-length');
-        res.end(raw);
-      });
-    } else {
-      // Non-HTML: pipe directly
-      proxyRes.pipe(res);
+      const raw = g.category || '(none)';
+      unmappedCategories[raw] = (unmappedCategories[raw] || 0) + 1;
+      dropped.push({ key: g[p.keyField], name: g.name || '', category: g.category || null });
     }
-  });
-
-  proxyReq.on('error', (err) => {
-    if (!res.headersSent) res.status(502).send('Game server unavailable');
-    console.error('Proxy error:', err.message);
-  });
-
-  const onClientClose = () => proxyReq.destroy();
-  req.on('close', onClientClose);
-  req.on('aborted', onClientClose);
-
-  if (req.method === 'POST' || req.method === 'PUT' || req.method === 'PATCH') {
-    req.pipe(proxyReq);
-  } else {
-    proxyReq.end();
+    providers.push({
+      id: p.id,
+      total: games.length,
+      mapped: games.length - dropped.length,
+      dropped: dropped.length,
+      hasProviderMap: !!(catalog.getCategoriesMap().providerMaps || {})[p.id],
+      byGlobal,
+      unmappedCategories,
+      droppedGames: dropped
+    });
   }
+  return { providers, droppedTotal: providers.reduce((n, p) => n + p.dropped, 0) };
+}
+
+// ──────────────────────────────────────────────
+// Reverse proxies for game hosts (lib/reverse-proxy.js)
+// Every provider module with a `proxy` config gets /<prefix>/<host>/… (+ its WebSocket mount):
+// JILI at /jili (jiligames.com is blocked in Thailand), PP at /pp-proxy
+// Static assets they load are kept in a shared on-disk cache (lib/asset-cache.js):
+// ASSET_CACHE=0 turns it off; ASSET_CACHE_DIR, ASSET_CACHE_MAX_MB (default 1024),
+// ASSET_CACHE_MAX_ENTRY_MB (50), ASSET_CACHE_DEFAULT_TTL_SEC (86400, when upstream sends no cache headers)
+// Upstream cookies stay server-side in one jar per player (co168_proxy cookie), shared by all proxies
+// WebSocket mounts share one relay (lib/ws-relay.js) — counters and recent closes at GET /api/ws-relay
+// WS_PING_INTERVAL_SEC (30), WS_IDLE_TIMEOUT_SEC (600, 0 = never), WS_MAX_PER_IP (20),
+// WS_MAX_CONNECTIONS (2000), WS_MAX_MESSAGE_MB (16)
+// ──────────────────────────────────────────────
+const assetCache = process.env.ASSET_CACHE === '0' ? null : createAssetCache({
+  dir: process.env.ASSET_CACHE_DIR || path.join(__dirname, 'data', 'asset-cache'),
+  maxBytes: (Number(process.env.ASSET_CACHE_MAX_MB) || 1024) * 1024 * 1024,
+  maxEntryBytes: (Number(process.env.ASSET_CACHE_MAX_ENTRY_MB) || 50) * 1024 * 1024,
+  defaultTtlSec: Number(process.env.ASSET_CACHE_DEFAULT_TTL_SEC) || 24 * 3600
+});
+const proxyCookieJar = createCookieJar();
+const wsRelay = createWsRelay({
+  pingIntervalMs: (Number(process.env.WS_PING_INTERVAL_SEC) || 30) * 1000,
+  idleTimeoutMs: (process.env.WS_IDLE_TIMEOUT_SEC ? Number(process.env.WS_IDLE_TIMEOUT_SEC) || 0 : 600) * 1000,
+  maxPerIp: Number(process.env.WS_MAX_PER_IP) || 20,
+  maxConnections: Number(process.env.WS_MAX_CONNECTIONS) || 2000,
+  maxPayloadBytes: (Number(process.env.WS_MAX_MESSAGE_MB) || 16) * 1024 * 1024,
+  clientIp: req => proxyaddr(req, app.get('trust proxy fn'))
 });
+const gameProxies = providerRegistry.listProviders()
+  .filter(({ module: mod }) => mod.proxy)
+  .map(({ module: mod }) => createReverseProxy(mod.id, mod.proxy, { assetCache, cookieJar: proxyCookieJar, wsRelay }));
+for (const proxy of gameProxies) app.use(proxy.prefix, proxy.middleware);
 
 // Legacy /proxy route — redirect to new /jili/jiligames.com/...
 app.use('/proxy', (req, res) => {
   res.redirect(307, '/jili/jiligames.com' + req.url);
 });
 
-// ──────────────────────────────────────────────
-// Reverse Proxy for Pragmatic Play Demo Games
-// Proxies: demogamesfree.pragmaticplay.net and related CDN domains
-// ──────────────────────────────────────────────
-
-const PP_DOMAINS = [
-  'demogamesfree.pragmaticplay.net',
-  'commonassets.pragmaticplay.net',
-  'cdn-gcp.pragmaticplay.net',
-  'static.pragmaticplay.net',
-  'hermes.pragmaticplay.net',
-  'gserver.pragmaticplay.net',
-];
-
-function toPPProxyPath(fullUrl) {
-  try {
-    const u = new URL(fullUrl);
-    if (u.hostname.endsWith('pragmaticplay.net') || u.hostname.endsWith('pragmaticplay.com')) {
-      return '/pp-proxy/' + u.hostname + u.pathname + u.search;
-    }
-  } catch {}
-  return null;
-}
-
-function rewritePPHtml(body, targetHost, targetPathDir = '/') {
-  let html = body.replace(/https?:\/\/([a-zA-Z0-9.-]*pragmaticplay\.(?:net|com))(\/[^"'<>\s]*)/g, (match, host, path) => {
-    return '/pp-proxy/' + host + path;
-  });
-
-  if (targetHost) {
-    let basePath = '/pp-proxy/' + targetHost + targetPathDir;
-    if (!basePath.endsWith('/')) basePath += '/';
-    const baseTag = `<base href="${basePath}">`;
-
-    const proxyBase = '/pp-proxy/' + targetHost;
-    const overrideScript = `<script>(function(){` +
-      `var B='${proxyBase}';` +
-      `var F=window.fetch;` +
-      `window.fetch=function(u,o){` +
-        `if(typeof u==='string'&&u.charAt(0)==='/'&&u.indexOf('/pp-proxy/')!==0)u=B+u;` +
-        `return F.call(this,u,o);` +
-      `};` +
-      `var X=XMLHttpRequest.prototype.open;` +
-      `XMLHttpRequest.prototype.open=function(m,u){` +
-        `if(typeof u==='string'&&u.charAt(0)==='/'&&u.indexOf('/pp-proxy/')!==0)` +
-          `arguments[1]=B+u;` +
-        `return X.apply(this,arguments);` +
-      `};` +
-      `var P=function(C,p){` +
-        `var d=Object.getOwnPropertyDescriptor(C.prototype,p);` +
-        `if(d&&d.set){Object.defineProperty(C.prototype,p,{` +
-          `set:function(v){` +
-            `if(typeof v==='string'&&v.charAt(0)==='/'&&v.indexOf('/pp-proxy/')!==0)v=B+v;` +
-            `d.set.call(this,v);` +
-          `},get:d.get,configurable:true});}` +
-      `};` +
-      `try{P(HTMLImageElement,'src');}catch(e){}` +
-      `try{P(HTMLScriptElement,'src');}catch(e){}` +
-      `try{P(HTMLAudioElement,'src');}catch(e){}` +
-      `try{P(HTMLSourceElement,'src');}catch(e){}` +
-    `})();</script>`;
-
-    const injection = baseTag + overrideScript;
-    if (html.includes('<head>')) {
-      html = html.replace('<head>', '<head>' + injection);
-    } else if (html.includes('<HEAD>')) {
-      html = html.replace('<HEAD>', '<HEAD>' + injection);
-    } else {
-      html = injection + html;
-    }
-  }
-  return html;
-}
-
-app.use('/pp-proxy', (req, res) => {
-  const fullPath = req.url;
-  const match = fullPath.match(/^\/([a-zA-Z0-9.-]*pragmaticplay\.(?:net|com))(\/[^?]*)?(\?.*)?$/);
-  if (!match) {
-    console.error('  [PP-PROXY] Invalid path:', fullPath);
-    return res.status(400).send('Invalid proxy path');
-  }
-
-  const targetHost = match[1];
-  const targetPathWithoutQuery = match[2] || '/';
-  const targetPath = targetPathWithoutQuery + (match[3] || '');
-
-  const targetPathDir = targetPathWithoutQuery.endsWith('/')
-    ? targetPathWithoutQuery
-    : targetPathWithoutQuery.substring(0, targetPathWithoutQuery.lastIndexOf('/') + 1) || '/';
-
-  console.log(`  [PP-PROXY] ${targetHost}${targetPath.substring(0, 80)}...`);
-
-  const options = {
-    hostname: targetHost,
-    path: targetPath,
-    method: req.method,
-    rejectAuthorized: false,
-    headers: {
-      'User-Agent': req.headers['user-agent'] || 'Mozilla/5.0',
-      'Accept': req.headers['accept'] || '*/*',
-      'Accept-Language': req.headers['accept-language'] || 'en-US,en;q=0.9',
-      'Accept-Encoding': 'identity',
-      'Referer': `https://${targetHost}/`,
-      'Origin': `https://${targetHost}`,
-    }
-  };
-
-  if (req.headers.cookie) {
-    options.headers['Cookie'] = req.headers.cookie;
-  }
-
-  const agent = new https.Agent({ rejectUnauthorized: false });
-  options.agent = agent;
-
-  const proxyReq = https.request(options, (proxyRes) => {
-    res.statusCode = proxyRes.statusCode;
-
-    for (const [key, value] of Object.entries(proxyRes.headers)) {
-      const k = key.toLowerCase();
-      if (k === 'x-frame-options' || k === 'x-content-type-options' ||
-          k.startsWith('content-security-policy')) continue;
-      if (k === 'location') {
-        let loc = value;
-        const proxied = toPPProxyPath(loc);
-        if (proxied) {
-          res.setHeader('Location', proxied);
-        } else if (loc.startsWith('/')) {
-          res.setHeader('Location', '/pp-proxy/' + targetHost + loc);
-        } else {
-          res.setHeader('Location', loc);
-        }
-        continue;
-      }
-      if (k === 'set-cookie') {
-        const cookies = Array.isArray(value) ? value : [value];
-        const rewritten = cookies.map(c => c.replace(/domain=[^;]+;?/gi, ''));
-        res.setHeader('Set-Cookie', rewritten);
-        continue;
-      }
-      res.setHeader(key, value);
-    }
-
-    res.setHeader('Access-Control-Allow-Origin', '*');
-
-    const ct = (proxyRes.headers['content-type'] || '').toLowerCase();
-    if (ct.includes('text/html')) {
-      const chunks = [];
-      proxyRes.on('data', chunk => chunks.push(chunk));
-      proxyRes.on('end', () => {
-        let html = Buffer.concat(chunks).toString('utf-8');
-        html = rewritePPHtml(html, targetHost, targetPathDir);
-        res.removeHeader('content-length');
-        res.end(html);
-      });
-    } else {
-      proxyRes.pipe(res);
-    }
-  });
-
-  proxyReq.on('error', (err) => {
-    if (!res.headersSent) res.status(502).send('Game server unavailable');
-    console.error('PP Proxy error:', err.message);
-  });
-
-  const onClientClose = () => proxyReq.destroy();
-  req.on('close', onClientClose);
-  req.on('aborted', onClientClose);
-
-  if (req.method === 'POST' || req.method === 'PUT' || req.method === 'PATCH') {
-    req.pipe(proxyReq);
-  } else {
-    proxyReq.end();
-  }
-});
-
 // ──────────────────────────────────────────────
 // Dynamic HTML pages — serve with inline JS to bypass Telegram WebView cache
 // ──────────────────────────────────────────────
@@ -807,32 +206,71 @@ app.get('/game.html', (req, res) => {
 // Home page: Co168 provider selection
 app.get('/', serveInlineHtml('home.html', ['js/home.js']));
 
-// Catalog pages per provider
-app.get('/catalog/jili', serveInlineHtml('index.html', ['js/app.js']));
-app.get('/catalog/pp', serveInlineHtml('index.html', ['js/app.js']));
-app.get('/catalog/joker', serveInlineHtml('index.html', ['js/app.js']));
-app.get('/catalog/cq9', serveInlineHtml('index.html', ['js/app.js']));
+// Catalog pages per provider (any slug listed in data/providers.json)
+app.get('/catalog/:provider', (req, res, next) => {
+  const slug = req.params.provider.toLowerCase();
+  if (!loadProviders().some(p => p.slug === slug)) return next();
+  serveInlineHtml('index.html', ['js/app.js'])(req, res);
+});
+
+// ──────────────────────────────────────────────
+// Admin: login (password form or Telegram Login Widget) + bot usage dashboard
+// Roles and who may log in: see lib/admin-auth.js
+// ──────────────────────────────────────────────
+const TELEGRAM_LOGIN_FIELDS = ['id', 'first_name', 'last_name', 'username', 'photo_url', 'auth_date', 'hash'];
+
+function sendAdminLogin(req, res, error) {
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(error ? 401 : 200).send(renderAdminLoginPage({
+    error,
+    next: adminAuth.safeNext(req.query.next || (req.body && req.body.next)),
+    telegramBot: process.env.ADMIN_TELEGRAM_BOT || (bot && bot.botInfo && bot.botInfo.username) || null
+  }));
+}
 
-// Admin: bot usage stats (same origin only; consider adding auth in production)
-app.get('/admin', (req, res) => {
+app.get('/admin/login', (req, res) => {
+  if (adminAuth.getAdmin(req)) return res.redirect(302, adminAuth.safeNext(req.query.next));
+  sendAdminLogin(req, res);
+});
+app.post('/admin/login', express.urlencoded({ extended: false }), (req, res) => {
+  const { username, password } = req.body || {};
+  const result = adminAuth.loginWithPassword(req, res, username, password);
+  if (!result.ok) return sendAdminLogin(req, res, result.error);
+  res.redirect(302, adminAuth.safeNext(req.body.next));
+});
+// Telegram Login Widget redirects here with the signed user fields in the query string
+app.get('/admin/auth/telegram', (req, res) => {
+  const fields = {};
+  TELEGRAM_LOGIN_FIELDS.forEach(k => { if (typeof req.query[k] === 'string') fields[k] = req.query[k]; });
+  const result = adminAuth.loginWithTelegram(req, res, fields);
+  if (!result.ok) return sendAdminLogin(req, res, result.error);
+  res.redirect(302, adminAuth.safeNext(req.query.next));
+});
+app.post('/admin/logout', (req, res) => {
+  adminAuth.logout(req, res);
+  res.redirect(302, '/admin/login');
+});
+
+app.get('/admin', adminAuth.requireRole('viewer'), (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
   res.sendFile(path.join(__dirname, 'public', 'admin.html'));
 });
-app.get('/admin/bot-stats', (req, res) => {
+app.get(['/admin/bot-stats', '/admin.html'], (req, res) => {
   res.redirect(302, '/admin');
 });
 
 // ──────────────────────────────────────────────
 // API: Proxy external images (fix PP thumbnails not loading in WebView/CORS)
-// Supports OUTBOUND_PROXY_URL for regions where pragmaticplay.com is blocked
+// Fetched through the outbound routing table (OUTBOUND_PROXY_ROUTES) like every other upstream request
 // Also caches downloaded images locally in public/images/pp/
 // ──────────────────────────────────────────────
-const ALLOWED_IMAGE_HOSTS = ['www.pragmaticplay.com', 'pragmaticplay.com', 'dl.zhenwudadi.net', 'images.hfyali.com'];
+const ALLOWED_IMAGE_HOSTS = ['www.pragmaticplay.com', 'pragmaticplay.com', 'dl.zhenwudadi.net', 'images.hfyali.com', 'www.pgsoft.com', 'public.pgsoft.com'];
 const IMG_CACHE_DIR = path.join(__dirname, 'public', 'images', 'cache');
 const PP_IMG_CACHE_DIR = path.join(__dirname, 'public', 'images', 'pp');
 if (!fs.existsSync(PP_IMG_CACHE_DIR)) fs.mkdirSync(PP_IMG_CACHE_DIR, { recursive: true });
 if (!fs.existsSync(IMG_CACHE_DIR)) fs.mkdirSync(IMG_CACHE_DIR, { recursive: true });
 
-app.get('/api/proxy-image', (req, res) => {
+app.get('/api/proxy-image', async (req, res) => {
   const rawUrl = req.query.url;
   if (!rawUrl || typeof rawUrl !== 'string') return res.status(400).send('Missing url');
 
@@ -851,51 +289,50 @@ app.get('/api/proxy-image', (req, res) => {
     return fs.createReadStream(cachePath).pipe(res);
   }
 
-  // Fetch from upstream (use OUTBOUND_PROXY_URL if configured)
-  const agent = OUTBOUND_PROXY_URL
-    ? new HttpsProxyAgent(OUTBOUND_PROXY_URL)
-    : new https.Agent({ rejectUnauthorized: false });
-
-  const opts = {
-    hostname: parsed.hostname,
-    path: parsed.pathname + parsed.search,
-    method: 'GET',
-    agent,
-    headers: {
-      'User-Agent': 'Mozilla/5.0 (compatible; Co168ImageProxy/1.0)',
-      'Accept': 'image/*,*/*'
-    }
-  };
-  const proxyReq = https.request(opts, (proxyRes) => {
+  try {
+    const upstream = await request(parsed.href, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (compatible; Co168ImageProxy/1.0)',
+        'Accept': 'image/*,*/*'
+      },
+      timeoutMs: 10000,
+      responseType: 'stream'
+    });
+    const proxyRes = upstream.body;
     // Follow redirects
-    if (proxyRes.statusCode >= 300 && proxyRes.statusCode < 400 && proxyRes.headers.location) {
-      res.redirect(302, '/api/proxy-image?url=' + encodeURIComponent(proxyRes.headers.location));
+    if (upstream.statusCode >= 300 && upstream.statusCode < 400 && upstream.headers.location) {
+      res.redirect(302, '/api/proxy-image?url=' + encodeURIComponent(new URL(upstream.headers.location, parsed).href));
       proxyRes.resume();
       return;
     }
-    if (proxyRes.statusCode >= 400) {
-      res.status(proxyRes.statusCode).send('Upstream error');
+    if (upstream.statusCode >= 400) {
+      proxyRes.resume();
+      res.status(upstream.statusCode).send('Upstream error');
       return;
     }
-    const ct = proxyRes.headers['content-type'] || 'image/jpeg';
+    const ct = upstream.headers['content-type'] || 'image/jpeg';
     res.setHeader('Content-Type', ct);
     res.setHeader('Cache-Control', 'public, max-age=604800');
 
-    // Pipe to response AND save to disk cache simultaneously
-    const cacheStream = fs.createWriteStream(cachePath);
-    proxyRes.pipe(res);
-    proxyRes.pipe(cacheStream);
+    // Pipe to response AND save to disk cache simultaneously; the cache file only takes its
+    // name once the whole body arrived, so an upstream that drops mid-body leaves nothing behind
+    const partPath = `${cachePath}.${process.pid}-${Date.now()}.part`;
+    const cacheStream = fs.createWriteStream(partPath);
     cacheStream.on('error', () => {});
-  });
-  proxyReq.on('error', (err) => {
+    cacheStream.on('finish', () => fs.rename(partPath, cachePath, () => {}));
+    proxyRes.pipe(cacheStream);
+    pipeline(proxyRes, res, (err) => {
+      if (!err || cacheStream.writableFinished) return;
+      console.error('[PROXY-IMAGE] Stream error:', err.message);
+      cacheStream.destroy();
+      fs.rm(partPath, { force: true }, () => {});
+    });
+  } catch (err) {
     console.error('[PROXY-IMAGE] Error:', err.message);
-    if (!res.headersSent) res.status(502).send('Image proxy error');
-  });
-  proxyReq.setTimeout(10000, () => {
-    proxyReq.destroy();
-    if (!res.headersSent) res.status(504).send('Image proxy timeout');
-  });
-  proxyReq.end();
+    if (res.headersSent) return;
+    if (err.message === 'Timeout') res.status(504).send('Image proxy timeout');
+    else res.status(502).send('Image proxy error');
+  }
 });
 
 // ──────────────────────────────────────────────
@@ -915,9 +352,11 @@ app.use(express.static(path.join(__dirname, 'public'), {
 app.use(express.json());
 
 // ──────────────────────────────────────────────
-// Bot usage tracking (JSON file)
-// - Production: ใช้ /app/data/stats/bot-events.json (volume mount ที่ /app/data/stats — ดู BOT-DEPLOY.md)
+// Bot usage tracking (append-only event store — lib/event-store.js)
+// - Production: ใช้ /app/data/stats/bot-events/ (volume mount ที่ /app/data/stats — ดู BOT-DEPLOY.md)
 // - โฟลเดอร์ data/ อยู่ใน .dockerignore → build/deploy จะไม่ทับไฟล์ใน volume
+// - BOT_EVENTS_PATH / BOT_EVENTS_BACKUP_PATH ยังใช้ค่าเดิมได้: "x/bot-events.json" → เก็บใน "x/bot-events/"
+//   และไฟล์ .json เดิมถูก import ครั้งแรกอัตโนมัติ (ไม่ลบไฟล์เดิม)
 // ──────────────────────────────────────────────
 const DATA_DIR = path.join(__dirname, 'data');
 if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
@@ -928,6 +367,11 @@ const defaultEventsPath = useStatsDir
   : path.join(DATA_DIR, 'bot-events.json');
 const BOT_EVENTS_FILE = process.env.BOT_EVENTS_PATH || defaultEventsPath;
 const BOT_EVENTS_BACKUP_FILE = process.env.BOT_EVENTS_BACKUP_PATH || null;
+const eventStoreDirFor = p => p.replace(/\.json$/i, '');
+const BOT_EVENTS_DIR = eventStoreDirFor(BOT_EVENTS_FILE);
+const BOT_EVENTS_REPLICA_DIR = BOT_EVENTS_BACKUP_FILE ? eventStoreDirFor(BOT_EVENTS_BACKUP_FILE) : null;
+// Admin audit trail lives next to the bot stats (same volume in production)
+const ADMIN_AUDIT_FILE = process.env.ADMIN_AUDIT_PATH || path.join(path.dirname(BOT_EVENTS_FILE), 'admin-audit.ndjson');
 
 function ensureDirForFile(filePath) {
   const dir = path.dirname(filePath);
@@ -935,178 +379,143 @@ function ensureDirForFile(filePath) {
     try { fs.mkdirSync(dir, { recursive: true }); } catch (e) { /* ignore */ }
   }
 }
-ensureDirForFile(BOT_EVENTS_FILE);
-if (BOT_EVENTS_BACKUP_FILE) ensureDirForFile(BOT_EVENTS_BACKUP_FILE);
-
-if (BOT_EVENTS_BACKUP_FILE && fs.existsSync(BOT_EVENTS_BACKUP_FILE)) {
-  try {
-    const primaryEmpty = !fs.existsSync(BOT_EVENTS_FILE) || fs.readFileSync(BOT_EVENTS_FILE, 'utf-8').trim() === '';
-    if (primaryEmpty) {
-      const backupRaw = fs.readFileSync(BOT_EVENTS_BACKUP_FILE, 'utf-8');
-      const arr = JSON.parse(backupRaw);
-      if (Array.isArray(arr) && arr.length > 0) {
-        fs.writeFileSync(BOT_EVENTS_FILE, backupRaw, 'utf-8');
-        console.log('[bot-usage] Restored ' + arr.length + ' events from backup');
-      }
-    }
-  } catch (e) {
-    console.warn('[bot-usage] Restore from backup failed:', e.message);
-  }
-}
-
-function readBotEvents() {
-  try {
-    if (!fs.existsSync(BOT_EVENTS_FILE)) return [];
-    const raw = fs.readFileSync(BOT_EVENTS_FILE, 'utf-8');
-    const data = JSON.parse(raw);
-    return Array.isArray(data) ? data : [];
-  } catch (err) {
-    return [];
-  }
-}
-
-function writeBotEvents(events) {
-  const json = JSON.stringify(events, null, 0);
-  try {
-    fs.writeFileSync(BOT_EVENTS_FILE, json, 'utf-8');
-  } catch (err) {
-    console.error('[bot-usage] writeBotEvents error:', err.message);
-  }
-  if (BOT_EVENTS_BACKUP_FILE) {
-    try {
-      fs.writeFileSync(BOT_EVENTS_BACKUP_FILE, json, 'utf-8');
-    } catch (err) {
-      console.error('[bot-usage] backup write error:', err.message);
-    }
-  }
-}
+ensureDirForFile(ADMIN_AUDIT_FILE);
+adminAuth.init({ botToken: BOT_TOKEN, auditFile: ADMIN_AUDIT_FILE });
+
+const botEvents = openEventStore({
+  dir: BOT_EVENTS_DIR,
+  replicaDir: BOT_EVENTS_REPLICA_DIR,
+  legacyFiles: [BOT_EVENTS_FILE, BOT_EVENTS_BACKUP_FILE].filter(f => f && /\.json$/i.test(f)),
+  segmentMaxBytes: (Number(process.env.BOT_EVENTS_SEGMENT_MB) || 8) * 1024 * 1024,
+  label: 'bot-usage'
+});
 
 function insertBotEvent(payload) {
   try {
-    const { telegram_user_id, username, first_name, action } = payload;
-    const events = readBotEvents();
-    const id = events.length ? Math.max(...events.map(e => e.id || 0), 0) + 1 : 1;
-    events.push({
-      id,
+    const { telegram_user_id, username, first_name, action, provider, verified, unverified_reason } = payload;
+    botEvents.append({
       telegram_user_id,
       username: username ?? null,
       first_name: first_name ?? null,
       action,
-      created_at: new Date().toISOString()
+      ...(provider && { provider }),
+      created_at: new Date().toISOString(),
+      // เฉพาะ event จาก Mini App ที่ตรวจ initData ไม่ผ่าน (BOT_EVENT_UNVERIFIED=flag) — event จากบอทมาจาก Telegram โดยตรง
+      ...(verified === false && { verified: false, unverified_reason: unverified_reason || null })
     });
-    writeBotEvents(events);
   } catch (err) {
     console.error('[bot-usage] insertBotEvent error:', err.message);
   }
 }
 
-// period: 'all' | 'day' | 'week' | 'month' — กรองตาม created_at
-// date: 'YYYY-MM-DD' (optional) — กรองเฉพาะวันนั้น
-// month: 'YYYY-MM' (optional) — กรองทั้งเดือน
-// week: 'YYYY-MM-DD' (optional) — กรองทั้งสัปดาห์ (จันทร์–อาทิตย์) ที่มีวันนั้น
-function filterEventsByPeriod(events, period, date, month, week) {
-  if (date && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
-    return events.filter(e => e.created_at && e.created_at.slice(0, 10) === date);
+// Rollups (lib/bot-rollups.js) — built once, then kept up to date as events are appended
+const botRollups = createRollups(botEvents);
+botEvents.on('append', e => botRollups.add(e));
+
+// ──────────────────────────────────────────────
+// Game launches (play events) — one per /play/:provider/:key, same store format, next to bot-events/
+// ──────────────────────────────────────────────
+const PLAY_EVENTS_DIR = path.join(path.dirname(BOT_EVENTS_DIR), 'play-events');
+const playEvents = openEventStore({
+  dir: PLAY_EVENTS_DIR,
+  replicaDir: BOT_EVENTS_REPLICA_DIR ? path.join(path.dirname(BOT_EVENTS_REPLICA_DIR), 'play-events-backup') : null,
+  segmentMaxBytes: (Number(process.env.BOT_EVENTS_SEGMENT_MB) || 8) * 1024 * 1024,
+  label: 'play-events'
+});
+const playRollups = createPlayRollups(playEvents);
+playEvents.on('append', e => playRollups.add(e));
+
+function recordPlay({ provider, key, game, ok, error, latencyMs }) {
+  try {
+    playEvents.append({
+      provider,
+      key: String(key),
+      game: game || null,
+      ok: !!ok,
+      ...(error && { error: String(error).slice(0, 300) }),
+      latency_ms: latencyMs,
+      created_at: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error('[play-events] recordPlay error:', err.message);
   }
+}
+
+// ──────────────────────────────────────────────
+// Catalog change log (lib/catalog-changes.js) — diffed on every games reload, plus once on
+// start against the snapshot from the last run. NEW_GAME_DAYS: how long an added game is "new".
+// ──────────────────────────────────────────────
+const CATALOG_CHANGES_DIR = path.join(path.dirname(BOT_EVENTS_DIR), 'catalog-changes');
+const catalogChanges = createCatalogChangelog({
+  store: openEventStore({
+    dir: CATALOG_CHANGES_DIR,
+    replicaDir: BOT_EVENTS_REPLICA_DIR ? path.join(path.dirname(BOT_EVENTS_REPLICA_DIR), 'catalog-changes-backup') : null,
+    label: 'catalog-changes'
+  }),
+  snapshotFile: path.join(CATALOG_CHANGES_DIR, 'snapshot.json'),
+  newDays: Number(process.env.NEW_GAME_DAYS) || 30
+});
+for (const { module: mod } of catalog.listProviders()) catalogChanges.observe(mod, catalog.getGames(mod.id), 'startup');
+catalog.events.on('games', ({ id, reason }) => {
+  const mod = providerRegistry.getProvider(id);
+  if (mod) catalogChanges.observe(mod, catalog.getGames(id), reason);
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_MS = { day: DAY_MS, week: 7 * DAY_MS, month: 30 * DAY_MS };
+
+// period: 'all' | 'day' | 'week' | 'month' — ย้อนหลัง 24 ชม. / 7 วัน / 30 วัน (นับเป็นชั่วโมงเต็ม)
+// date: 'YYYY-MM-DD' (optional) — เฉพาะวันนั้น
+// month: 'YYYY-MM' (optional) — ทั้งเดือน
+// week: 'YYYY-MM-DD' (optional) — ทั้งสัปดาห์ (จันทร์–อาทิตย์) ที่มีวันนั้น
+// วัน/สัปดาห์/เดือน ตัดตามเวลาท้องถิ่นของ tz (default STATS_TZ = Asia/Bangkok)
+// → { from, to, wholeDays } — ISO strings (to exclusive), null = open end
+function periodRange(period, date, month, week, tz) {
+  const days = (first, next) => ({
+    from: new Date(zonedMidnight(first, tz)).toISOString(),
+    to: new Date(zonedMidnight(next, tz)).toISOString(),
+    wholeDays: true
+  });
+  if (date && /^\d{4}-\d{2}-\d{2}$/.test(date)) return days(date, addDays(date, 1));
   if (month && /^\d{4}-\d{2}$/.test(month)) {
-    return events.filter(e => e.created_at && e.created_at.slice(0, 7) === month);
+    const [y, m] = month.split('-').map(Number);
+    const next = m === 12 ? `${y + 1}-01` : `${y}-${String(m + 1).padStart(2, '0')}`;
+    return days(month + '-01', next + '-01');
   }
   if (week && /^\d{4}-\d{2}-\d{2}$/.test(week)) {
-    const d = new Date(week + 'T12:00:00');
-    const daysFromMonday = (d.getDay() + 6) % 7;
-    const monday = new Date(d);
-    monday.setDate(d.getDate() - daysFromMonday);
-    const monStr = monday.getFullYear() + '-' + String(monday.getMonth() + 1).padStart(2, '0') + '-' + String(monday.getDate()).padStart(2, '0');
-    const sunday = new Date(monday);
-    sunday.setDate(monday.getDate() + 6);
-    const sunStr = sunday.getFullYear() + '-' + String(sunday.getMonth() + 1).padStart(2, '0') + '-' + String(sunday.getDate()).padStart(2, '0');
-    return events.filter(e => {
-      const dayStr = e.created_at ? e.created_at.slice(0, 10) : '';
-      return dayStr >= monStr && dayStr <= sunStr;
-    });
+    const daysFromMonday = (new Date(week + 'T12:00:00.000Z').getUTCDay() + 6) % 7;
+    const monStr = addDays(week, -daysFromMonday);
+    return days(monStr, addDays(monStr, 7));
   }
-  if (!period || period === 'all') return events;
-  const now = Date.now();
-  let cutoff = 0;
-  if (period === 'day') cutoff = now - 24 * 60 * 60 * 1000;
-  else if (period === 'week') cutoff = now - 7 * 24 * 60 * 60 * 1000;
-  else if (period === 'month') cutoff = now - 30 * 24 * 60 * 60 * 1000;
-  return events.filter(e => {
-    const t = e.created_at ? new Date(e.created_at).getTime() : 0;
-    return t >= cutoff;
-  });
+  if (PERIOD_MS[period]) return { from: new Date(Date.now() - PERIOD_MS[period]).toISOString(), to: null, wholeDays: false };
+  return { from: null, to: null, wholeDays: true };
 }
 
-function getBotStats(period, date, month, week) {
-  const allEvents = readBotEvents();
-  const events = filterEventsByPeriod(allEvents, period, date, month, week);
-  const total = events.length;
-  const uniqueUsers = new Set(events.map(e => e.telegram_user_id)).size;
-  const byAction = [];
-  const actionCount = {};
-  events.forEach(e => {
-    actionCount[e.action] = (actionCount[e.action] || 0) + 1;
-  });
-  Object.keys(actionCount).forEach(action => byAction.push({ action, count: actionCount[action] }));
-  const latest = events.slice().sort((a, b) => {
-    const ta = a.created_at ? new Date(a.created_at).getTime() : 0;
-    const tb = b.created_at ? new Date(b.created_at).getTime() : 0;
-    return tb - ta;
-  }).slice(0, 50);
-  // เหตุการณ์ต่อวัน (สำหรับกราฟ)
-  const byDayMap = {};
-  events.forEach(e => {
-    const dateStr = e.created_at ? e.created_at.slice(0, 10) : '';
-    if (dateStr) byDayMap[dateStr] = (byDayMap[dateStr] || 0) + 1;
-  });
-  const byDay = Object.keys(byDayMap).sort().map(date => ({ date, count: byDayMap[date] }));
-  // Top 20 users ตามจำนวนเหตุการณ์
-  const userCount = {};
-  events.forEach(e => {
-    const uid = e.telegram_user_id;
-    if (!userCount[uid]) userCount[uid] = { telegram_user_id: uid, username: e.username, first_name: e.first_name, count: 0 };
-    userCount[uid].count++;
-  });
-  const topUsers = Object.values(userCount).sort((a, b) => b.count - a.count).slice(0, 20);
-  return { total, uniqueUsers, byAction, latest, byDay, topUsers, period: period || 'all', date: date || null, month: month || null, week: week || null };
+function getBotStats(period, date, month, week, tz) {
+  const stats = botRollups.stats(periodRange(period, date, month, week, tz), { tz });
+  return { ...stats, period: period || 'all', date: date || null, month: month || null, week: week || null, tz };
 }
 
-function getBotEvents(limit = 100, offset = 0, period, date, month, week) {
+function getBotEvents(limit = 100, offset = 0, period, date, month, week, tz) {
   const limitNum = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500);
   const offsetNum = Math.max(parseInt(offset, 10) || 0, 0);
-  const allEvents = readBotEvents();
-  const events = filterEventsByPeriod(allEvents, period, date, month, week);
-  const sorted = events.slice().sort((a, b) => {
-    const ta = a.created_at ? new Date(a.created_at).getTime() : 0;
-    const tb = b.created_at ? new Date(b.created_at).getTime() : 0;
-    return tb - ta;
-  });
-  const rows = sorted.slice(offsetNum, offsetNum + limitNum);
-  return { events: rows, total: events.length, limit: limitNum, offset: offsetNum, period: period || 'all', date: date || null, month: month || null, week: week || null };
+  const { rows, total } = botRollups.latest(periodRange(period, date, month, week, tz), { limit: limitNum, offset: offsetNum });
+  return { events: rows, total, limit: limitNum, offset: offsetNum, period: period || 'all', date: date || null, month: month || null, week: week || null, tz };
 }
 
-// คืนค่า byDay สำหรับทุกวันในเดือน (สำหรับปฏิทิน)
-function getBotStatsByMonth(yearMonth) {
-  if (!/^\d{4}-\d{2}$/.test(yearMonth)) return { byDay: [] };
+// คืนค่า byDay สำหรับทุกวันในเดือน (สำหรับปฏิทิน) — วันตาม tz
+function getBotStatsByMonth(yearMonth, tz) {
+  if (!/^\d{4}-\d{2}$/.test(yearMonth)) return { byDay: [], tz };
   const [y, m] = yearMonth.split('-').map(Number);
-  const daysInMonth = new Date(y, m, 0).getDate();
-  const allEvents = readBotEvents();
-  const byDayMap = {};
-  for (let d = 1; d <= daysInMonth; d++) {
-    const dateStr = yearMonth + '-' + String(d).padStart(2, '0');
-    byDayMap[dateStr] = 0;
-  }
-  allEvents.forEach(e => {
-    const dateStr = e.created_at ? e.created_at.slice(0, 10) : '';
-    if (dateStr.startsWith(yearMonth + '-')) byDayMap[dateStr] = (byDayMap[dateStr] || 0) + 1;
-  });
-  const byDay = Object.keys(byDayMap).sort().map(date => ({ date, count: byDayMap[date] }));
-  return { byDay };
+  const daysInMonth = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  const range = periodRange('all', null, yearMonth, null, tz);
+  return { byDay: botRollups.month(yearMonth, daysInMonth, range, tz), tz };
 }
 
 // API: Get all games (with optional category, search, pagination)
 app.get('/api/games', (req, res) => {
-  let games = loadGames();
+  if (sendNotModified(req, res)) return;
+  let games = catalog.getGames('jili');
   const { category, search, page = 1, limit = 50 } = req.query;
 
   // Filter by category
@@ -1116,10 +525,9 @@ app.get('/api/games', (req, res) => {
     );
   }
 
-  // Search by name
+  // Search by name (ranked, typo-tolerant)
   if (search) {
-    const term = search.toLowerCase();
-    games = games.filter(g => g.name.toLowerCase().includes(term));
+    games = rankBySearch(games, search, g => 'jili:' + g.id, 'jili');
   }
 
   const total = games.length;
@@ -1128,9 +536,10 @@ app.get('/api/games', (req, res) => {
   const start = (p - 1) * l;
   const paged = games.slice(start, start + l);
 
+  const canonical = canonicalizer(providerRegistry.getProvider('jili'));
   res.json({
     games: paged.map(g => ({
-      ...g,
+      ...canonical(g),
       playUrl: `/jili/jiligames.com/PlusIntro/${g.id}?showGame=true`
     })),
     total,
@@ -1142,7 +551,7 @@ app.get('/api/games', (req, res) => {
 
 // API: Get single game by ID
 app.get('/api/games/:id', (req, res) => {
-  const games = loadGames();
+  const games = catalog.getGames('jili');
   const game = games.find(g => g.id === parseInt(req.params.id));
 
   if (!game) {
@@ -1150,15 +559,82 @@ app.get('/api/games/:id', (req, res) => {
   }
 
   res.json({
-    ...game,
+    ...canonicalizer(providerRegistry.getProvider('jili'))(game),
     playUrl: `/jili/jiligames.com/PlusIntro/${game.id}?showGame=true`
   });
 });
 
-// API: List providers
+// API: List providers (providers.json + logo/categories declared by each provider module)
 app.get('/api/providers', (req, res) => {
+  if (sendNotModified(req, res)) return;
   const providers = loadProviders();
-  res.json(providers);
+  res.json(providers.map(providerRegistry.describeProvider));
+});
+
+// API: Single provider config (catalog header + category tabs)
+app.get('/api/providers/:provider', (req, res) => {
+  const slug = req.params.provider.toLowerCase();
+  const found = loadProviders().find(p => p.slug === slug);
+  if (!found) return res.status(404).json({ error: 'Provider not found' });
+  if (sendNotModified(req, res)) return;
+  res.json(providerRegistry.describeProvider(found));
+});
+
+// Keep only the games the search index matches, best match first.
+// uidOf(g) must return the same "provider:key" the index uses.
+function rankBySearch(games, term, uidOf, providerId) {
+  const ranked = searchIndex.search(String(term), { provider: providerId, limit: 0 });
+  const rank = new Map(ranked.map((r, i) => [r.providerId + ':' + r.key, i]));
+  return games
+    .filter(g => rank.has(uidOf(g)))
+    .sort((a, b) => rank.get(uidOf(a)) - rank.get(uidOf(b)));
+}
+
+// API: Catalog change log
+// GET /api/catalog/changes?provider=joker&since=2026-10-01 (or since=<last id> to poll)
+//     &type=added|removed|renamed|recategorised|image&limit=200 — newest first
+const CATALOG_CHANGE_TYPES = ['added', 'removed', 'renamed', 'recategorised', 'image'];
+app.get('/api/catalog/changes', (req, res) => {
+  const provider = req.query.provider ? String(req.query.provider).toLowerCase() : null;
+  const type = req.query.type ? String(req.query.type) : null;
+  const since = req.query.since ? String(req.query.since) : null;
+  if (type && !CATALOG_CHANGE_TYPES.includes(type)) {
+    return res.status(400).json({ error: 'type must be one of ' + CATALOG_CHANGE_TYPES.join(', ') });
+  }
+  if (since && !/^\d+$/.test(since) && Number.isNaN(Date.parse(since))) {
+    return res.status(400).json({ error: 'since must be an ISO date/time or a change id' });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 1000);
+  res.json({ ...catalogChanges.query({ provider, type, since, limit }), provider, since });
+});
+
+// API: Search games across all providers
+// GET /api/search?q=โรม่า&provider=jili&limit=20
+app.get('/api/search', (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  if (!q) return res.status(400).json({ error: 'Missing q' });
+  const provider = typeof req.query.provider === 'string' ? req.query.provider : undefined;
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  const results = searchIndex.search(q, { provider, limit });
+  res.json({
+    q,
+    total: results.length,
+    results: results.map(r => ({
+      ...canonicalizer(providerRegistry.getProvider(r.providerId))(r.game),
+      match: r.match,
+      score: r.score
+    }))
+  });
+});
+
+// API: Catalog store status (version used as ETag, per-provider counts)
+app.get('/api/catalog/status', (req, res) => {
+  res.json(catalog.status());
+});
+
+// API: Category mapping coverage — games dropped by toGlobalCategory per provider
+app.get('/api/games-by-category/coverage', (req, res) => {
+  res.json(getCategoryCoverage());
 });
 
 // API: Get games by global category (aggregated from all providers)
@@ -1167,11 +643,11 @@ app.get('/api/games-by-category', (req, res) => {
   if (!category || typeof category !== 'string') {
     return res.status(400).json({ error: 'Missing category' });
   }
+  if (sendNotModified(req, res)) return;
   const cat = category.toLowerCase().trim();
   let games = loadAllGamesWithProvider().filter(g => g.globalCategory === cat);
   if (search && typeof search === 'string') {
-    const term = search.toLowerCase();
-    games = games.filter(g => (g.name || '').toLowerCase().includes(term));
+    games = rankBySearch(games, search, g => g.uid);
   }
   const total = games.length;
   const p = Math.max(1, parseInt(page, 10) || 1);
@@ -1192,41 +668,22 @@ app.get('/api/providers/:provider/games', (req, res) => {
   const provider = req.params.provider.toLowerCase();
   const { category, search, page = 1, limit = 50 } = req.query;
 
-  let rawGames;
-  let playUrlFn;
-
-  if (provider === 'jili') {
-    rawGames = loadGames();
-    playUrlFn = g => `/play/jili/${g.id}`;
-  } else if (provider === 'pp') {
-    rawGames = loadPPGames();
-    playUrlFn = g => `/play/pp/${g.slug}`;
-  } else if (provider === 'joker') {
-    rawGames = loadJokerGames();
-    playUrlFn = g => `/play/joker/${encodeURIComponent(g.code)}`;
-  } else if (provider === 'cq9') {
-    rawGames = loadCQ9Games();
-    playUrlFn = g => `/play/cq9/${g.game_id}`;
-  } else {
+  const mod = providerRegistry.getProvider(provider);
+  if (!mod) {
     const providers = loadProviders();
     const found = providers.find(p => p.slug === provider);
     if (!found) return res.status(404).json({ error: 'Provider not found' });
     return res.json({ games: [], total: 0, page: 1, limit: 50, totalPages: 0 });
   }
 
-  let games = rawGames;
+  if (sendNotModified(req, res)) return;
+  let games = catalog.getGames(mod.id);
 
   // Hybrid: when featured=1, return only games in the featured list
   if (req.query.featured === '1') {
-    const featuredSet = loadFeaturedIds(provider);
+    const featuredSet = catalog.getFeatured(mod.id);
     if (featuredSet.size > 0) {
-      let key;
-      if (provider === 'jili') key = 'id';
-      else if (provider === 'pp') key = 'slug';
-      else if (provider === 'joker') key = 'code';
-      else if (provider === 'cq9') key = 'game_id';
-      else key = 'id';
-      games = games.filter(g => featuredSet.has(g[key]));
+      games = games.filter(g => featuredSet.has(g[mod.keyField]));
     }
   }
 
@@ -1236,8 +693,7 @@ app.get('/api/providers/:provider/games', (req, res) => {
     );
   }
   if (search) {
-    const term = search.toLowerCase();
-    games = games.filter(g => g.name.toLowerCase().includes(term));
+    games = rankBySearch(games, search, g => mod.id + ':' + g[mod.keyField], mod.id);
   }
   const total = games.length;
   const p = parseInt(page) || 1;
@@ -1245,293 +701,100 @@ app.get('/api/providers/:provider/games', (req, res) => {
   const start = (p - 1) * l;
   const paged = games.slice(start, start + l);
   return res.json({
-    games: paged.map(g => ({
-      ...g,
-      playUrl: playUrlFn(g)
-    })),
+    games: paged.map(canonicalizer(mod)),
     total, page: p, limit: l,
     totalPages: Math.ceil(total / l)
   });
 });
 
 // ──────────────────────────────────────────────
-// API: Resolve game URL (server-side redirect chain)
-// Follows: PlusTrial → LoginTrial → final game URL
+// Resolve cache + pre-warming of featured games (lib/resolve-cache.js)
+// RESOLVE_ERROR_TTL_SEC: how long a failed resolve is remembered (default 30)
+// RESOLVE_PREWARM=0 turns pre-warming off; RESOLVE_PREWARM_INTERVAL_SEC / RESOLVE_PREWARM_MAX
+// set how often it runs and how many featured games per provider it keeps warm
 // ──────────────────────────────────────────────
-function httpsGet(targetUrl) {
-  return new Promise((resolve, reject) => {
-    const u = new URL(targetUrl);
-    const opts = {
-      hostname: u.hostname,
-      path: u.pathname + u.search,
-      method: 'GET',
-      agent: getJiliOutboundAgent(u.hostname),
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Linux; Android 13) AppleWebKit/537.36',
-        'Accept': 'text/html,*/*',
-        'Accept-Language': 'en-US,en;q=0.9',
-      }
-    };
-    const req = https.request(opts, (res) => {
-      const chunks = [];
-      res.on('data', c => chunks.push(c));
-      res.on('end', () => {
-        resolve({
-          statusCode: res.statusCode,
-          headers: res.headers,
-          body: Buffer.concat(chunks).toString('utf-8')
-        });
-      });
-    });
-    req.on('error', reject);
-    req.setTimeout(18000, () => { req.destroy(); reject(new Error('Timeout')); });
-    req.end();
-  });
-}
-
-// Shared: resolve game ID to proxy path. Returns { proxyPath } or { error, hint }.
-async function resolveGameUrl(gameId) {
-  const step1 = await httpsGet(`https://jiligames.com/PlusTrial/${gameId}/en-us`);
-  const metaMatch = step1.body.match(/url='([^']+)'/i) || step1.body.match(/url="([^"]+)"/i);
-  if (!metaMatch) return { error: 'Could not find game redirect URL' };
-  const loginTrialUrl = metaMatch[1].replace(/&amp;/g, '&');
-  const step3 = await httpsGet(loginTrialUrl);
-  let finalUrl;
-  if (step3.statusCode >= 300 && step3.statusCode < 400 && step3.headers.location) {
-    finalUrl = step3.headers.location;
-  } else if (step3.statusCode === 200) {
-    finalUrl = loginTrialUrl;
-  } else {
-    return { error: 'Game server returned unexpected response' };
-  }
-  const proxyPath = toProxyPath(finalUrl);
-  if (!proxyPath) return { error: 'Could not convert game URL to proxy path' };
-  return { proxyPath };
-}
-
-// GET /play/jili/:id — resolve JILI game and redirect to proxy path
-app.get('/play/jili/:id', async (req, res) => {
-  const gameId = req.params.id;
-  console.log(`[PLAY] Resolving JILI game ${gameId} for redirect`);
+const resolveCache = createResolveCache({
+  errorTtlMs: (Number(process.env.RESOLVE_ERROR_TTL_SEC) || 30) * 1000
+});
+const RESOLVE_PREWARM = process.env.RESOLVE_PREWARM !== '0';
+const RESOLVE_PREWARM_INTERVAL_MS = (Number(process.env.RESOLVE_PREWARM_INTERVAL_SEC) || 120) * 1000;
+const RESOLVE_PREWARM_MAX = Number(process.env.RESOLVE_PREWARM_MAX) || 20;
+let prewarmRunning = false;
+
+async function prewarmFeatured() {
+  if (prewarmRunning) return;
+  prewarmRunning = true;
   try {
-    const result = await resolveGameUrl(gameId);
-    if (result.error) {
-      const hint = /ECONNREFUSED|ETIMEDOUT|ENOTFOUND|Timeout/i.test(result.error) && !OUTBOUND_PROXY_URL
-        ? 'Set OUTBOUND_PROXY_URL if server is in blocked region.'
-        : '';
-      const q = new URLSearchParams({ id: gameId, error: result.error });
-      if (hint) q.set('hint', hint);
-      return res.redirect(302, '/game.html?' + q.toString());
+    for (const { module: mod } of catalog.listProviders({ enabledOnly: true })) {
+      if (!resolveCache.ttlMsFor(mod)) continue;
+      const keys = [...catalog.getFeatured(mod.id)].slice(0, RESOLVE_PREWARM_MAX);
+      const n = await resolveCache.prewarm(mod, keys, { games: catalog.getGames(mod.id) });
+      if (n) console.log(`[PREWARM] ${mod.id}: resolved ${n} featured game(s)`);
     }
-    res.redirect(302, result.proxyPath);
   } catch (err) {
-    console.error('[PLAY] Error:', err.message);
-    const msg = 'Failed to resolve: ' + err.message;
-    const hint = /ECONNREFUSED|ETIMEDOUT|ENOTFOUND|Timeout/i.test(err.message) && !OUTBOUND_PROXY_URL
-      ? 'Set OUTBOUND_PROXY_URL if server is in blocked region.'
-      : '';
-    const q = new URLSearchParams({ id: gameId, error: msg });
-    if (hint) q.set('hint', hint);
-    res.redirect(302, '/game.html?' + q.toString());
+    console.error('[PREWARM] Error:', err.message);
+  } finally {
+    prewarmRunning = false;
   }
-});
+}
 
 // ──────────────────────────────────────────────
-// Pragmatic Play: Resolve demo game URL
-// Fetches the PP game page and extracts the demo iframe URL (data-game-src)
+// Play: resolve a game through its provider module (lib/providers/<id>.js)
+// { demoUrl }   → full-screen iframe page (PP, Joker, CQ9, PG)
+// { proxyPath } → redirect into our reverse proxy (JILI)
 // ──────────────────────────────────────────────
-function httpsGetInsecure(targetUrl) {
-  return new Promise((resolve, reject) => {
-    const u = new URL(targetUrl);
-    const opts = {
-      hostname: u.hostname,
-      path: u.pathname + u.search,
-      method: 'GET',
-      agent: new https.Agent({ rejectUnauthorized: false }),
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Linux; Android 13) AppleWebKit/537.36',
-        'Accept': 'text/html,*/*',
-        'Accept-Language': 'en-US,en;q=0.9',
-      }
-    };
-    const req = https.request(opts, (res) => {
-      const chunks = [];
-      res.on('data', c => chunks.push(c));
-      res.on('end', () => {
-        resolve({
-          statusCode: res.statusCode,
-          headers: res.headers,
-          body: Buffer.concat(chunks).toString('utf-8')
-        });
-      });
-    });
-    req.on('error', reject);
-    req.setTimeout(15000, () => { req.destroy(); reject(new Error('Timeout')); });
-    req.end();
+app.get('/play/:provider/:key', async (req, res, next) => {
+  const mod = providerRegistry.getProvider(req.params.provider);
+  if (!mod || typeof mod.resolve !== 'function') return next();
+  const key = req.params.key;
+  console.log(`[PLAY] Resolving ${mod.id} game "${key}"`);
+  const startedAt = Date.now();
+  const catalogGame = catalog.getGames(mod.id).find(g => String(g[mod.keyField]) === String(key));
+  const track = (ok, gameName, error) => recordPlay({
+    provider: mod.id, key, game: gameName || (catalogGame && catalogGame.name), ok, error, latencyMs: Date.now() - startedAt
   });
-}
-
-async function resolvePPGameUrl(slug) {
-  let ppPageUrl = `https://www.pragmaticplay.com/en/games/${slug}/?gamelang=en&cur=THB`;
-  console.log(`[PP-RESOLVE] Fetching ${ppPageUrl}`);
-
-  const maxRedirects = 5;
-  let resp;
-  for (let i = 0; i < maxRedirects; i++) {
-    resp = await httpsGetInsecure(ppPageUrl);
-    if ((resp.statusCode === 301 || resp.statusCode === 302) && resp.headers.location) {
-      const loc = resp.headers.location;
-      ppPageUrl = loc.startsWith('http') ? loc : new URL(loc, ppPageUrl).href;
-      console.log(`[PP-RESOLVE] Following ${resp.statusCode} → ${ppPageUrl}`);
-      continue;
-    }
-    break;
-  }
-
-  if (resp.statusCode >= 400) {
-    return { error: `PP returned status ${resp.statusCode}` };
-  }
-
-  const srcMatch = resp.body.match(/data-game-src="([^"]+)"/i);
-  if (!srcMatch) {
-    return { error: 'Could not find demo game URL on PP page' };
-  }
-
-  let demoUrl = srcMatch[1].replace(/&amp;/g, '&');
-  console.log(`[PP-RESOLVE] Demo URL: ${demoUrl.substring(0, 100)}...`);
 
-  // Convert to proxy path
-  const proxyPath = toPPProxyPath(demoUrl);
-  if (!proxyPath) {
-    return { error: 'Could not convert PP demo URL to proxy path' };
-  }
-
-  return { proxyPath, demoUrl };
-}
+  const redirectWithError = (message) => {
+    track(false, null, message);
+    const q = new URLSearchParams({ id: key, provider: mod.id, error: message });
+    const hint = mod.errorHint ? mod.errorHint(message) : '';
+    if (hint) q.set('hint', hint);
+    res.redirect(302, '/game.html?' + q.toString());
+  };
 
-// GET /play/pp/:slug — resolve PP game and serve full-screen iframe page
-// PP validates websiteUrl vs referrer, so we embed the demo in an iframe on our page.
-// The iframe loads from PP domain directly → origin checks pass.
-app.get('/play/pp/:slug', async (req, res) => {
-  const slug = req.params.slug;
-  console.log(`[PLAY] Resolving PP game "${slug}"`);
   try {
-    const result = await resolvePPGameUrl(slug);
-    if (result.error) {
-      const q = new URLSearchParams({ id: slug, provider: 'pp', error: result.error });
-      return res.redirect(302, '/game.html?' + q.toString());
-    }
-
-    const gameName = slug.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
-    const html = `<!DOCTYPE html>
-<html lang="th"><head>
-<meta charset="UTF-8">
-<meta name="viewport" content="width=device-width,initial-scale=1,maximum-scale=1,user-scalable=no,viewport-fit=cover">
-<title>${gameName} - Pragmatic Play Demo</title>
-<style>
-*{margin:0;padding:0;box-sizing:border-box}
-html,body{width:100%;height:100%;overflow:hidden;background:#0d0d0d;font-family:system-ui,sans-serif}
-.pp-bar{position:fixed;top:0;left:0;right:0;z-index:100;display:flex;align-items:center;gap:10px;padding:8px 12px;
-  background:rgba(13,13,13,0.92);backdrop-filter:blur(10px);-webkit-backdrop-filter:blur(10px);
-  border-bottom:1px solid rgba(255,215,0,0.15)}
-.pp-bar a{width:36px;height:36px;border-radius:50%;background:rgba(255,255,255,0.08);display:flex;align-items:center;
-  justify-content:center;text-decoration:none;flex-shrink:0}
-.pp-bar a svg{width:18px;height:18px;fill:#e8e8e8}
-.pp-bar .pp-name{color:#e8e8e8;font-size:14px;font-weight:600;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
-.pp-bar .pp-badge{background:linear-gradient(135deg,#FFD700,#FF8C00);color:#000;font-size:9px;font-weight:700;
-  padding:2px 8px;border-radius:10px;flex-shrink:0}
-iframe{position:fixed;top:52px;left:0;right:0;bottom:0;width:100%;height:calc(100% - 52px);border:none;background:#0d0d0d}
-.pp-loading{position:fixed;top:52px;left:0;right:0;bottom:0;display:flex;flex-direction:column;align-items:center;
-  justify-content:center;background:#0d0d0d;color:rgba(255,255,255,0.6);font-size:14px;z-index:50}
-.pp-spinner{width:40px;height:40px;border:3px solid rgba(255,255,255,0.1);border-top-color:#FFD700;
-  border-radius:50%;animation:spin .8s linear infinite;margin-bottom:16px}
-@keyframes spin{to{transform:rotate(360deg)}}
-</style>
-</head><body>
-<div class="pp-bar">
-  <a href="/catalog/pp"><svg viewBox="0 0 24 24"><path d="M20 11H7.83l5.59-5.59L12 4l-8 8 8 8 1.41-1.41L7.83 13H20v-2z"/></svg></a>
-  <span class="pp-name">${gameName}</span>
-  <span class="pp-badge">DEMO</span>
-</div>
-<div class="pp-loading" id="loader"><div class="pp-spinner"></div>กำลังโหลดเกม...</div>
-<iframe src="${result.demoUrl}" allow="autoplay; fullscreen" allowfullscreen
-  sandbox="allow-scripts allow-same-origin allow-popups allow-forms"
-  referrerpolicy="no-referrer"
-  onload="document.getElementById('loader').style.display='none'"></iframe>
-</body></html>`;
-
+    const result = await resolveCache.resolve(mod, key, { games: catalog.getGames(mod.id) });
+    if (result.error) return redirectWithError(result.error);
+    track(true, result.gameName);
+    if (!result.demoUrl) return res.redirect(302, result.proxyPath);
+
+    const player = mod.player || {};
+    const html = renderPlayerPage({
+      gameName: result.gameName || key,
+      label: player.label || mod.displayName,
+      backHref: `/catalog/${mod.id}`,
+      src: result.demoUrl,
+      sandbox: player.sandbox,
+      loadingText: player.loadingText,
+      background: player.background
+    });
     res.setHeader('Content-Type', 'text/html; charset=utf-8');
     res.setHeader('Cache-Control', 'no-store');
     res.send(html);
   } catch (err) {
-    console.error('[PLAY-PP] Error:', err.message);
-    const q = new URLSearchParams({ id: slug, provider: 'pp', error: 'Failed to resolve: ' + err.message });
-    res.redirect(302, '/game.html?' + q.toString());
+    console.error(`[PLAY-${mod.id.toUpperCase()}] Error:`, err.message);
+    redirectWithError('Failed to resolve: ' + err.message);
   }
 });
 
-// ──────────────────────────────────────────────
-// CQ9 Gaming: Embed game directly in iframe (no "Open Link" dialog)
-// Use h5c.cqgame.games/h5/{gameId}/ so the game runs inside the app.
-// ──────────────────────────────────────────────
-app.get('/play/cq9/:gameId', (req, res) => {
-  const gameId = req.params.gameId;
-  if (!gameId) return res.redirect('/catalog/cq9');
-
-  const games = loadCQ9Games();
-  const game = Array.isArray(games) ? games.find(g => String(g.game_id) === String(gameId)) : null;
-  const gameName = (game && game.name) ? game.name : `CQ9 Game ${gameId}`;
-
-  const gameUrl = `https://h5c.cqgame.games/h5/${encodeURIComponent(gameId)}/?language=en&token=guest&t=${Date.now()}`;
-  const html = `<!DOCTYPE html>
-<html lang="th"><head>
-<meta charset="UTF-8">
-<meta name="viewport" content="width=device-width,initial-scale=1,maximum-scale=1,user-scalable=no,viewport-fit=cover">
-<title>${escapeHtml(gameName)} - CQ9 Demo</title>
-<style>
-*{margin:0;padding:0;box-sizing:border-box}
-html,body{width:100%;height:100%;overflow:hidden;background:#000;font-family:system-ui,sans-serif}
-.bar{position:fixed;top:0;left:0;right:0;z-index:100;display:flex;align-items:center;gap:10px;padding:8px 12px;
-  background:rgba(0,0,0,0.9);backdrop-filter:blur(10px);-webkit-backdrop-filter:blur(10px);
-  border-bottom:1px solid rgba(255,215,0,0.2)}
-.bar a{width:36px;height:36px;border-radius:50%;background:rgba(255,255,255,0.08);display:flex;align-items:center;
-  justify-content:center;text-decoration:none;flex-shrink:0}
-.bar a svg{width:18px;height:18px;fill:#e8e8e8}
-.bar .name{color:#e8e8e8;font-size:14px;font-weight:600;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
-.bar .badge{background:linear-gradient(135deg,#FFD700,#FF8C00);color:#000;font-size:9px;font-weight:700;
-  padding:2px 8px;border-radius:10px;flex-shrink:0}
-iframe{position:fixed;top:52px;left:0;right:0;bottom:0;width:100%;height:calc(100% - 52px);border:none;background:#000}
-.loading{position:fixed;top:52px;left:0;right:0;bottom:0;display:flex;flex-direction:column;align-items:center;
-  justify-content:center;background:#000;color:rgba(255,255,255,0.6);font-size:14px;z-index:50}
-.spinner{width:40px;height:40px;border:3px solid rgba(255,255,255,0.1);border-top-color:#FFD700;
-  border-radius:50%;animation:spin .8s linear infinite;margin-bottom:16px}
-@keyframes spin{to{transform:rotate(360deg)}}
-</style>
-</head><body>
-<div class="bar">
-  <a href="/catalog/cq9"><svg viewBox="0 0 24 24"><path d="M20 11H7.83l5.59-5.59L12 4l-8 8 8 8 1.41-1.41L7.83 13H20v-2z"/></svg></a>
-  <span class="name">${escapeHtml(gameName)}</span>
-  <span class="badge">DEMO</span>
-</div>
-<div class="loading" id="loader"><div class="spinner"></div>กำลังโหลดเกมจาก CQ9...</div>
-<iframe src="${gameUrl.replace(/"/g, '&quot;')}" allow="autoplay; fullscreen" allowfullscreen
-  referrerpolicy="no-referrer"
-  onload="document.getElementById('loader').style.display='none'"></iframe>
-</body></html>`;
-
-  res.setHeader('Content-Type', 'text/html; charset=utf-8');
-  res.setHeader('Cache-Control', 'no-store');
-  res.send(html);
-});
-
 // ──────────────────────────────────────────────
 // API: Refresh CQ9 game list from demo.cqgame.games/en/Home
 // Fetches the page, parses __NEXT_DATA__ or game_id links, writes data/cq9-games.json
 // ──────────────────────────────────────────────
-app.post('/api/cq9-refresh-games', async (req, res) => {
+app.post('/api/cq9-refresh-games', adminAuth.requireRole('editor', { audit: 'cq9-refresh-games' }), async (req, res) => {
   const homeUrl = 'https://demo.cqgame.games/en/Home';
   try {
-    const resp = await httpsGetInsecure(homeUrl);
+    const resp = await request(homeUrl);
     if (resp.statusCode !== 200) {
       return res.status(502).json({ error: 'CQ9 demo site returned ' + resp.statusCode });
     }
@@ -1540,7 +803,13 @@ app.post('/api/cq9-refresh-games', async (req, res) => {
       return res.status(502).json({ error: 'No games parsed from CQ9 Home page (page may be client-rendered only)' });
     }
     const gamesPath = path.join(__dirname, 'data', 'cq9-games.json');
-    fs.writeFileSync(gamesPath, JSON.stringify(games, null, 2), 'utf-8');
+    try {
+      writeGames(providerRegistry.getProvider('cq9'), gamesPath, games, { source: 'cq9-refresh-games' });
+    } catch (err) {
+      if (!err.reasons) throw err;
+      res.locals.auditDetail = { rejected: err.reasons, quarantined: err.quarantined };
+      return res.status(422).json({ error: err.message, reasons: err.reasons, quarantined: err.quarantined });
+    }
     const providersPath = path.join(__dirname, 'data', 'providers.json');
     if (fs.existsSync(providersPath)) {
       const providers = JSON.parse(fs.readFileSync(providersPath, 'utf-8'));
@@ -1550,6 +819,7 @@ app.post('/api/cq9-refresh-games', async (req, res) => {
         fs.writeFileSync(providersPath, JSON.stringify(providers, null, 2), 'utf-8');
       }
     }
+    res.locals.auditDetail = { count: games.length };
     return res.json({ ok: true, count: games.length, games });
   } catch (err) {
     console.error('[CQ9-REFRESH]', err.message);
@@ -1564,7 +834,7 @@ app.post('/api/cq9-refresh-games', async (req, res) => {
 //   หรือ { "list": [ { "game_id": 209, "name": "The Cupids" }, ... ] }
 //   หรือ { "lines": "220  Floating Market\n209  The Cupids" }
 // ──────────────────────────────────────────────
-app.post('/api/cq9-names', (req, res) => {
+app.post('/api/cq9-names', adminAuth.requireRole('editor', { audit: 'cq9-names' }), (req, res) => {
   const namesPath = path.join(__dirname, 'data', 'cq9-names.json');
   let updates = {};
   if (req.body && req.body.names && typeof req.body.names === 'object') {
@@ -1613,6 +883,7 @@ app.post('/api/cq9-names', (req, res) => {
     Object.assign(merged, existing);
     Object.assign(merged, updates);
     fs.writeFileSync(namesPath, JSON.stringify(merged, null, 2), 'utf-8');
+    res.locals.auditDetail = { names: updates };
     return res.json({ ok: true, updated: Object.keys(updates).length, names: updates });
   } catch (err) {
     console.error('[CQ9-NAMES]', err.message);
@@ -1620,133 +891,6 @@ app.post('/api/cq9-names', (req, res) => {
   }
 });
 
-// ──────────────────────────────────────────────
-// Joker Gaming: Resolve demo game URL
-// Calls joker123.net API to get a free-play session URL, then follows redirects
-// to get the final game page URL on the game server.
-// ──────────────────────────────────────────────
-async function resolveJokerGameUrl(gameCode) {
-  const apiUrl = `https://www.joker123.net/Service/PlayFreeGame?gameCode=${encodeURIComponent(gameCode)}`;
-  console.log(`[JOKER-RESOLVE] POST ${apiUrl}`);
-
-  const resp = await httpsPostSimple(apiUrl);
-  if (resp.statusCode !== 200) {
-    return { error: `Joker API returned status ${resp.statusCode}` };
-  }
-
-  let json;
-  try { json = JSON.parse(resp.body); } catch { return { error: 'Invalid JSON from Joker API' }; }
-  if (!json.Success || !json.Data || !json.Data.GameUrl) {
-    return { error: json.Message || 'Joker API returned no GameUrl' };
-  }
-
-  let gameUrl = json.Data.GameUrl;
-  if (!gameUrl.startsWith('http')) {
-    gameUrl = 'https://www.joker123.net' + (gameUrl.startsWith('/') ? '' : '/') + gameUrl;
-  }
-  console.log(`[JOKER-RESOLVE] Initial GameUrl: ${gameUrl}`);
-
-  const maxRedirects = 5;
-  for (let i = 0; i < maxRedirects; i++) {
-    const r = await httpsGetInsecure(gameUrl);
-    if ((r.statusCode === 301 || r.statusCode === 302) && r.headers.location) {
-      const loc = r.headers.location;
-      gameUrl = loc.startsWith('http') ? loc : new URL(loc, gameUrl).href;
-      console.log(`[JOKER-RESOLVE] Following ${r.statusCode} → ${gameUrl}`);
-      continue;
-    }
-    break;
-  }
-
-  console.log(`[JOKER-RESOLVE] Final URL: ${gameUrl}`);
-  return { demoUrl: gameUrl };
-}
-
-function httpsPostSimple(targetUrl) {
-  return new Promise((resolve, reject) => {
-    const u = new URL(targetUrl);
-    const opts = {
-      hostname: u.hostname,
-      path: u.pathname + u.search,
-      method: 'POST',
-      agent: new https.Agent({ rejectUnauthorized: false }),
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Linux; Android 13) AppleWebKit/537.36',
-        'Accept': 'application/json',
-        'Content-Length': 0,
-        'Referer': 'https://www.joker123.net/GameIndex',
-        'Origin': 'https://www.joker123.net',
-      }
-    };
-    const req = https.request(opts, (res) => {
-      const chunks = [];
-      res.on('data', c => chunks.push(c));
-      res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString('utf-8') }));
-    });
-    req.on('error', reject);
-    req.setTimeout(15000, () => { req.destroy(); reject(new Error('Timeout')); });
-    req.end();
-  });
-}
-
-// GET /play/joker/:code — resolve Joker demo game and serve full-screen iframe page
-app.get('/play/joker/:code', async (req, res) => {
-  const code = req.params.code;
-  console.log(`[PLAY] Resolving Joker game "${code}"`);
-  try {
-    const result = await resolveJokerGameUrl(code);
-    if (result.error) {
-      const q = new URLSearchParams({ id: code, provider: 'joker', error: result.error });
-      return res.redirect(302, '/game.html?' + q.toString());
-    }
-
-    const gameName = code.replace(/([A-Z])/g, ' $1').replace(/GW$/, '').trim();
-    const html = `<!DOCTYPE html>
-<html lang="th"><head>
-<meta charset="UTF-8">
-<meta name="viewport" content="width=device-width,initial-scale=1,maximum-scale=1,user-scalable=no,viewport-fit=cover">
-<title>${gameName} - Joker Gaming Demo</title>
-<style>
-*{margin:0;padding:0;box-sizing:border-box}
-html,body{width:100%;height:100%;overflow:hidden;background:#0d0d0d;font-family:system-ui,sans-serif}
-.jk-bar{position:fixed;top:0;left:0;right:0;z-index:100;display:flex;align-items:center;gap:10px;padding:8px 12px;
-  background:rgba(13,13,13,0.92);backdrop-filter:blur(10px);-webkit-backdrop-filter:blur(10px);
-  border-bottom:1px solid rgba(255,215,0,0.15)}
-.jk-bar a{width:36px;height:36px;border-radius:50%;background:rgba(255,255,255,0.08);display:flex;align-items:center;
-  justify-content:center;text-decoration:none;flex-shrink:0}
-.jk-bar a svg{width:18px;height:18px;fill:#e8e8e8}
-.jk-bar .jk-name{color:#e8e8e8;font-size:14px;font-weight:600;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
-.jk-bar .jk-badge{background:linear-gradient(135deg,#FFD700,#FF8C00);color:#000;font-size:9px;font-weight:700;
-  padding:2px 8px;border-radius:10px;flex-shrink:0}
-iframe{position:fixed;top:52px;left:0;right:0;bottom:0;width:100%;height:calc(100% - 52px);border:none;background:#0d0d0d}
-.jk-loading{position:fixed;top:52px;left:0;right:0;bottom:0;display:flex;flex-direction:column;align-items:center;
-  justify-content:center;background:#0d0d0d;color:rgba(255,255,255,0.6);font-size:14px;z-index:50}
-.jk-spinner{width:40px;height:40px;border:3px solid rgba(255,255,255,0.1);border-top-color:#FFD700;
-  border-radius:50%;animation:spin .8s linear infinite;margin-bottom:16px}
-@keyframes spin{to{transform:rotate(360deg)}}
-</style>
-</head><body>
-<div class="jk-bar">
-  <a href="/catalog/joker"><svg viewBox="0 0 24 24"><path d="M20 11H7.83l5.59-5.59L12 4l-8 8 8 8 1.41-1.41L7.83 13H20v-2z"/></svg></a>
-  <span class="jk-name">${gameName}</span>
-  <span class="jk-badge">DEMO</span>
-</div>
-<div class="jk-loading" id="loader"><div class="jk-spinner"></div>กำลังโหลดเกม...</div>
-<iframe src="${result.demoUrl}" allow="autoplay; fullscreen" allowfullscreen
-  referrerpolicy="no-referrer"
-  onload="document.getElementById('loader').style.display='none'"></iframe>
-</body></html>`;
-
-    res.setHeader('Content-Type', 'text/html; charset=utf-8');
-    res.setHeader('Cache-Control', 'no-store');
-    res.send(html);
-  } catch (err) {
-    console.error('[PLAY-JOKER] Error:', err.message);
-    const q = new URLSearchParams({ id: code, provider: 'joker', error: 'Failed to resolve: ' + err.message });
-    res.redirect(302, '/game.html?' + q.toString());
-  }
-});
-
 // GET /play/:id — backward compatibility, redirect to /play/jili/:id
 app.get('/play/:id', (req, res) => {
   res.redirect(302, '/play/jili/' + req.params.id);
@@ -1756,11 +900,11 @@ app.get('/api/game-url/:id', async (req, res) => {
   const gameId = req.params.id;
   console.log(`[RESOLVE] Starting resolve for game ${gameId}`);
   try {
-    const result = await resolveGameUrl(gameId);
+    const result = await resolveCache.resolve(providerRegistry.getProvider('jili'), gameId);
     if (result.error) {
       const isNetwork = /ECONNREFUSED|ETIMEDOUT|ENOTFOUND|Timeout|socket hang up/i.test(result.error);
-      const hint = isNetwork && !OUTBOUND_PROXY_URL
-        ? 'Server may be in Thailand. Set OUTBOUND_PROXY_URL in .env (proxy outside Thailand) and restart.'
+      const hint = isNetwork && !outbound.isProxied('jiligames.com')
+        ? 'Server may be in Thailand. Set OUTBOUND_PROXY_URL (or OUTBOUND_PROXY_ROUTES) in .env (proxy outside Thailand) and restart.'
         : undefined;
       return res.status(500).json({ error: result.error, ...(hint && { hint }) });
     }
@@ -1769,8 +913,8 @@ app.get('/api/game-url/:id', async (req, res) => {
     console.error('[RESOLVE] Error:', err.message);
     const msg = 'Failed to resolve game URL: ' + err.message;
     const isNetwork = /ECONNREFUSED|ETIMEDOUT|ENOTFOUND|Timeout|socket hang up/i.test(err.message);
-    const hint = isNetwork && !OUTBOUND_PROXY_URL
-      ? 'Server may be in Thailand. Set OUTBOUND_PROXY_URL in .env (proxy outside Thailand) and restart.'
+    const hint = isNetwork && !outbound.isProxied('jiligames.com')
+      ? 'Server may be in Thailand. Set OUTBOUND_PROXY_URL (or OUTBOUND_PROXY_ROUTES) in .env (proxy outside Thailand) and restart.'
       : undefined;
     res.status(500).json({ error: msg, ...(hint && { hint }) });
   }
@@ -1802,69 +946,261 @@ app.get('/api/bot-check', async (req, res) => {
 
 // ──────────────────────────────────────────────
 // API: Bot usage stats & events (for admin)
+// ทุก endpoint รับ ?tz= (IANA เช่น Asia/Bangkok) — default STATS_TZ
 // ──────────────────────────────────────────────
-app.get('/api/bot-stats', (req, res) => {
+function statsTz(req) {
+  try {
+    return resolveTz(req.query.tz);
+  } catch (err) {
+    err.status = 400;
+    throw err;
+  }
+}
+
+app.get('/api/bot-stats', adminAuth.requireRole('viewer'), (req, res) => {
   try {
     const period = req.query.period || 'all';
     const date = req.query.date || null;
     const month = req.query.month || null;
     const week = req.query.week || null;
-    res.json(getBotStats(period, date, month, week));
+    res.json(getBotStats(period, date, month, week, statsTz(req)));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-app.get('/api/bot-stats-month', (req, res) => {
+app.get('/api/bot-stats-month', adminAuth.requireRole('viewer'), (req, res) => {
   try {
     const month = req.query.month;
-    res.json(getBotStatsByMonth(month || ''));
+    res.json(getBotStatsByMonth(month || '', statsTz(req)));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-app.get('/api/bot-events', (req, res) => {
+app.get('/api/bot-events', adminAuth.requireRole('viewer'), (req, res) => {
   try {
     const { limit, offset, period, date, month, week } = req.query;
-    res.json(getBotEvents(limit, offset, period, date, month, week));
+    res.json(getBotEvents(limit, offset, period, date, month, week, statsTz(req)));
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-app.get('/api/bot-events-export', (req, res) => {
+// Export contains Telegram user IDs / usernames → owner only, and every export is audited
+app.get('/api/bot-events-export', adminAuth.requireRole('owner', { audit: 'bot-events-export' }), (req, res) => {
   try {
     const period = req.query.period || 'all';
     const date = req.query.date || null;
     const month = req.query.month || null;
     const week = req.query.week || null;
-    const allEvents = readBotEvents();
-    const events = filterEventsByPeriod(allEvents, period, date, month, week);
-    const sorted = events.slice().sort((a, b) => {
-      const ta = a.created_at ? new Date(a.created_at).getTime() : 0;
-      const tb = b.created_at ? new Date(b.created_at).getTime() : 0;
-      return tb - ta;
-    }).slice(0, 10000);
-    res.json({ events: sorted, total: sorted.length, period, date });
+    const tz = statsTz(req);
+    const sorted = botRollups.latest(periodRange(period, date, month, week, tz), { limit: 10000 }).rows;
+    res.locals.auditDetail = { period, date, month, week, tz, rows: sorted.length };
+    res.json({ events: sorted, total: sorted.length, period, date, tz });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ──────────────────────────────────────────────
+// API: Game launch stats ("most played") — same period/date/week/month/tz params as bot-stats
+// provider: only that provider, limit: top N games (max 200)
+// ──────────────────────────────────────────────
+function getPlayStats(req) {
+  const { period, date, month, week } = req.query;
+  const tz = statsTz(req);
+  const provider = req.query.provider ? String(req.query.provider).toLowerCase() : null;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 200);
+  const stats = playRollups.stats(periodRange(period || 'all', date, month, week, tz), { tz, provider, limit });
+  return { ...stats, period: period || 'all', date: date || null, month: month || null, week: week || null, provider, tz };
+}
+
+app.get('/api/play-stats', adminAuth.requireRole('viewer'), (req, res) => {
+  try {
+    res.json(getPlayStats(req));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+app.get('/api/top-games', adminAuth.requireRole('viewer'), (req, res) => {
+  try {
+    const { topGames, period, date, month, week, provider, tz } = getPlayStats(req);
+    res.json({ games: topGames, period, date, month, week, provider, tz });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ──────────────────────────────────────────────
+// Catalog sync — scrapers on a cron schedule (lib/catalog-sync.js)
+// SYNC_SCHEDULER=0 disables the schedule (run now from /admin still works)
+// SYNC_CRON_<ID>=<cron expr>|off, SYNC_TIMEOUT_MIN (default 15)
+// Run history lives next to the bot stats (SYNC_STATUS_PATH overrides)
+// ──────────────────────────────────────────────
+const SYNC_STATUS_FILE = process.env.SYNC_STATUS_PATH || path.join(path.dirname(BOT_EVENTS_FILE), 'sync-runs.json');
+ensureDirForFile(SYNC_STATUS_FILE);
+const catalogSync = createCatalogSync({
+  listModules: () => catalog.listProviders().map(p => p.module),
+  statusFile: SYNC_STATUS_FILE,
+  tz: resolveTz(),
+  timeoutMs: (Number(process.env.SYNC_TIMEOUT_MIN) || 15) * 60 * 1000
+});
+
+app.get('/api/sync', adminAuth.requireRole('viewer'), (req, res) => {
+  res.json({ ...catalogSync.status(), scheduler: process.env.SYNC_SCHEDULER !== '0' });
+});
+
+// Starts the run and answers right away — scrapers can take minutes; poll GET /api/sync
+app.post('/api/sync/:provider/run', adminAuth.requireRole('editor', { audit: 'sync-run' }), (req, res) => {
+  const id = req.params.provider.toLowerCase();
+  if (!catalogSync.status().jobs.some(j => j.provider === id)) {
+    return res.status(404).json({ error: `No sync job for ${id}` });
   }
+  res.locals.auditDetail = { provider: id };
+  catalogSync.run(id, { trigger: 'manual', by: req.admin.name })
+    .catch(err => console.error(`[SYNC] ${id}:`, err.message));
+  res.status(202).json({ ok: true, ...catalogSync.status() });
 });
 
+// ──────────────────────────────────────────────
+// API: Quarantined catalogs (lib/catalog-guard.js) — lists a scraper/loader refused to use
+// GET  /api/catalog/quarantine          → [{ name, provider, source, reasons, count, quarantinedAt }]
+// GET  /api/catalog/quarantine/:name    → the full file (games included)
+// DELETE /api/catalog/quarantine/:name  → dismiss
+// ──────────────────────────────────────────────
+app.get('/api/catalog/quarantine', adminAuth.requireRole('viewer'), (req, res) => {
+  res.json({ entries: listQuarantine() });
+});
+
+app.get('/api/catalog/quarantine/:name', adminAuth.requireRole('viewer'), (req, res) => {
+  const record = readQuarantine(req.params.name);
+  if (!record) return res.status(404).json({ error: 'Not found' });
+  res.setHeader('Content-Disposition', `attachment; filename="${req.params.name}"`);
+  res.json(record);
+});
+
+app.delete('/api/catalog/quarantine/:name', adminAuth.requireRole('editor', { audit: 'quarantine-dismiss' }), (req, res) => {
+  res.locals.auditDetail = { name: req.params.name };
+  if (!removeQuarantine(req.params.name)) return res.status(404).json({ error: 'Not found' });
+  res.json({ ok: true });
+});
+
+// ──────────────────────────────────────────────
+// API: Resolve cache — hit/miss counters, and purge after a provider changes its launch flow
+// POST /api/resolve-cache/purge  { provider?, key? }  (no body = everything)
+// ──────────────────────────────────────────────
+app.get('/api/resolve-cache', adminAuth.requireRole('viewer'), (req, res) => {
+  const ttls = {};
+  for (const { module: mod } of catalog.listProviders()) ttls[mod.id] = resolveCache.ttlMsFor(mod) / 1000;
+  res.json({ ...resolveCache.status(), ttlSec: ttls, prewarm: RESOLVE_PREWARM });
+});
+
+app.post('/api/resolve-cache/purge', adminAuth.requireRole('editor', { audit: 'resolve-cache-purge' }), (req, res) => {
+  const provider = req.body && req.body.provider ? String(req.body.provider).toLowerCase() : null;
+  const key = provider && req.body.key != null ? String(req.body.key) : null;
+  const purged = resolveCache.purge(provider, key);
+  res.locals.auditDetail = { provider, key, purged };
+  res.json({ ok: true, purged });
+});
+
+// ──────────────────────────────────────────────
+// API: Proxied asset cache — hit rates / size per provider, purge
+// POST /api/asset-cache/purge  { provider?, host?, prefix? }  (no body = everything)
+// ──────────────────────────────────────────────
+app.get('/api/asset-cache', adminAuth.requireRole('viewer'), (req, res) => {
+  res.json(assetCache ? { enabled: true, ...assetCache.status() } : { enabled: false });
+});
+
+app.post('/api/asset-cache/purge', adminAuth.requireRole('editor', { audit: 'asset-cache-purge' }), (req, res) => {
+  if (!assetCache) return res.status(409).json({ error: 'Asset cache is disabled (ASSET_CACHE=0)' });
+  const body = req.body || {};
+  const filter = {
+    provider: body.provider ? String(body.provider).toLowerCase() : null,
+    host: body.host ? String(body.host).toLowerCase() : null,
+    prefix: body.prefix ? String(body.prefix) : null
+  };
+  const purged = assetCache.purge(filter);
+  res.locals.auditDetail = { ...filter, purged };
+  res.json({ ok: true, purged });
+});
+
+// ──────────────────────────────────────────────
+// API: Outbound proxy routes — health of each proxy, requests / failures / failovers per route
+// ──────────────────────────────────────────────
+app.get('/api/outbound-routes', adminAuth.requireRole('viewer'), (req, res) => {
+  res.json(outbound.status());
+});
+
+// ──────────────────────────────────────────────
+// API: WebSocket relay — open sockets, failed / refused handshakes, bytes / messages per provider,
+// last 50 closes (who closed first, code, reason, how long the socket lived)
+// ──────────────────────────────────────────────
+app.get('/api/ws-relay', adminAuth.requireRole('viewer'), (req, res) => {
+  res.json(wsRelay.status());
+});
+
+// ──────────────────────────────────────────────
+// API: Admin session info + audit trail
+// ──────────────────────────────────────────────
+app.get('/api/admin/me', adminAuth.requireRole('viewer'), (req, res) => {
+  const { name, role, via } = req.admin;
+  res.json({ name, role, via, roles: adminAuth.ROLES });
+});
+
+app.get('/api/admin/audit', adminAuth.requireRole('owner'), (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 1), 1000);
+  res.json({ entries: adminAuth.readAudit(limit) });
+});
+
+// ──────────────────────────────────────────────
+// API: Mini App usage event
+// Body: { initData: Telegram.WebApp.initData, action, provider? }
+// The user comes from initData after checking its HMAC against BOT_TOKEN — never from the body.
+// BOT_EVENT_UNVERIFIED: 'reject' (default) → 401 | 'flag' → store with verified:false (not counted in stats)
+// ──────────────────────────────────────────────
+const BOT_EVENT_UNVERIFIED = process.env.BOT_EVENT_UNVERIFIED === 'flag' ? 'flag' : 'reject';
+const BOT_EVENT_INITDATA_MAX_AGE_SEC = Number(process.env.BOT_EVENT_INITDATA_MAX_AGE_SEC) || 86400;
+const BOT_EVENT_ACTION_RE = /^[a-z0-9_:.-]{1,64}$/i;
+
 app.post('/api/bot-event', (req, res) => {
   try {
-    const { telegram_user_id, username, first_name, action } = req.body || {};
-    if (!telegram_user_id || !action) {
-      return res.status(400).json({ error: 'telegram_user_id and action required' });
+    const { initData, action } = req.body || {};
+    if (!action || !BOT_EVENT_ACTION_RE.test(String(action))) {
+      return res.status(400).json({ error: 'valid action required' });
+    }
+    // Optional: which provider catalog the event came from (only known slugs are kept)
+    const provider = loadProviders().some(p => p.slug === req.body.provider) ? req.body.provider : null;
+    const check = verifyWebAppInitData(initData, BOT_TOKEN, { maxAgeSec: BOT_EVENT_INITDATA_MAX_AGE_SEC });
+    if (check.ok) {
+      insertBotEvent({
+        telegram_user_id: Number(check.user.id),
+        username: check.user.username || null,
+        first_name: check.user.first_name || null,
+        action: String(action),
+        provider
+      });
+      return res.json({ ok: true, verified: true });
+    }
+    if (BOT_EVENT_UNVERIFIED !== 'flag') {
+      return res.status(401).json({ error: check.error });
+    }
+    // Old cached clients still post telegram_user_id/username/first_name
+    const claimed = parseInitDataUser(initData) || { id: req.body.telegram_user_id, username: req.body.username, first_name: req.body.first_name };
+    if (!claimed.id || !Number.isFinite(Number(claimed.id))) {
+      return res.status(400).json({ error: check.error });
     }
     insertBotEvent({
-      telegram_user_id: Number(telegram_user_id),
-      username: username || null,
-      first_name: first_name || null,
-      action: String(action)
+      telegram_user_id: Number(claimed.id),
+      username: typeof claimed.username === 'string' ? claimed.username.slice(0, 64) : null,
+      first_name: typeof claimed.first_name === 'string' ? claimed.first_name.slice(0, 128) : null,
+      action: String(action),
+      provider,
+      verified: false,
+      unverified_reason: check.error
     });
-    res.json({ ok: true });
+    res.json({ ok: true, verified: false });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -1878,7 +1214,7 @@ app.get('/api/server-info', async (req, res) => {
 
   // 1. Check server IP & geo location via external service
   try {
-    const geoRes = await httpsGet('https://ipinfo.io/json');
+    const geoRes = await request('https://ipinfo.io/json', { retries: 0 });
     if (geoRes.statusCode === 200) {
       const geo = JSON.parse(geoRes.body);
       info.server = { ip: geo.ip, city: geo.city, region: geo.region, country: geo.country, org: geo.org };
@@ -1890,7 +1226,7 @@ app.get('/api/server-info', async (req, res) => {
   // 2. Check if server can reach jiligames.com
   try {
     const start = Date.now();
-    const jiliRes = await httpsGet('https://jiligames.com/');
+    const jiliRes = await request('https://jiligames.com/', { retries: 0 });
     info.jiligames = {
       reachable: jiliRes.statusCode < 500,
       statusCode: jiliRes.statusCode,
@@ -1902,7 +1238,8 @@ app.get('/api/server-info', async (req, res) => {
 
   // 3. Config info
   info.config = {
-    outboundProxy: OUTBOUND_PROXY_URL ? 'configured' : 'not set',
+    outboundProxy: outbound.isProxied('jiligames.com') ? 'configured' : 'not set',
+    outboundRoutes: outbound.status().routes.map(r => `${r.match.join(',')} → ${r.proxies.map(p => p.id).join(' | ')}`),
     nodeEnv: process.env.NODE_ENV || 'not set',
     uptime: Math.floor(process.uptime()) + 's'
   };
@@ -1918,7 +1255,7 @@ app.get('/api/debug/test-game/:id', async (req, res) => {
   try {
     // Step 1
     const t1 = Date.now();
-    const step1 = await httpsGet(`https://jiligames.com/PlusTrial/${gameId}/en-us`);
+    const step1 = await request(`https://jiligames.com/PlusTrial/${gameId}/en-us`);
     steps.push({ step: 1, name: 'PlusTrial', statusCode: step1.statusCode, latencyMs: Date.now() - t1, bodyLength: step1.body.length });
 
     // Step 2: parse meta refresh
@@ -1932,7 +1269,7 @@ app.get('/api/debug/test-game/:id', async (req, res) => {
 
     // Step 3: follow LoginTrial
     const t3 = Date.now();
-    const step3 = await httpsGet(loginTrialUrl);
+    const step3 = await request(loginTrialUrl);
     steps.push({ step: 3, name: 'LoginTrial', statusCode: step3.statusCode, latencyMs: Date.now() - t3, hasLocation: !!step3.headers.location });
 
     let finalUrl;
@@ -1960,8 +1297,9 @@ let bot = null;
 let botLastUpdateAt = null; // ใช้เช็คว่าเซิร์ฟเวอร์นี้ได้รับอัปเดตจาก Telegram หรือไม่
 
 if (BOT_TOKEN && BOT_TOKEN !== 'YOUR_BOT_TOKEN_HERE') {
-  // Use custom HTTPS agent to bypass SSL cert verification (e.g. corporate proxy / missing CA)
-  const telegramAgent = new https.Agent({ rejectUnauthorized: false });
+  // Certificate checks follow the outbound TLS policy (OUTBOUND_TLS_INSECURE_HOSTS=api.telegram.org
+  // behind a TLS-intercepting corporate proxy)
+  const telegramAgent = new https.Agent({ keepAlive: true, rejectUnauthorized: tlsVerify('api.telegram.org') });
   bot = new Telegraf(BOT_TOKEN, { telegram: { agent: telegramAgent } });
 
   // บันทึกเวลารับอัปเดตล่าสุด (ใช้เช็คใน /api/bot-check)
@@ -2089,62 +1427,49 @@ if (BOT_TOKEN && BOT_TOKEN !== 'YOUR_BOT_TOKEN_HERE') {
 // ──────────────────────────────────────────────
 // Catch-all: redirect unmatched paths through proxy
 // (game pages loaded via proxy reference absolute paths like /PlusTrial/637/en-us
-//  which need to be routed through our reverse proxy to jiligames.com)
+//  which need to be routed through our reverse proxy to the host the page came from)
+// The host comes from the Referer, else from the co168_upstream cookie the proxies set on every
+// game page (our iframes send no Referer) — the cookie only for paths shaped like what the
+// upstream leaks (assets, the provider's leakedPaths). Our own paths are never routed; they and
+// anything else — typed URLs, stale links, /favicon.ico — are a 404.
 // ──────────────────────────────────────────────
-app.use((req, res, next) => {
-  if (req.path === '/' || req.path === '/game.html' ||
-      req.path.startsWith('/api/') || req.path.startsWith('/proxy/') ||
-      req.path.startsWith('/play/') || req.path.startsWith('/jili/') ||
-      req.path.startsWith('/pp-proxy/') ||
-      req.path.startsWith('/catalog/') ||
-      req.path.startsWith('/css/') || req.path.startsWith('/js/') ||
-      req.path.startsWith('/images/')) {
-    return next();
-  }
-  const ref = req.headers.referer || '';
+const APP_PATH_RE = /^\/(?:api|proxy|play|catalog|admin|css|js|images)(?:\/|$)|^\/(?:[\w-]+\.html|favicon\.ico|robots\.txt)?$/;
 
-  // Check if request originates from a PP proxied page
-  const ppRefMatch = ref.match(/\/pp-proxy\/([a-zA-Z0-9.-]*pragmaticplay\.(?:net|com))/);
-  if (ppRefMatch) {
-    const ppDomain = ppRefMatch[1];
-    console.log(`  [CATCH-ALL] ${req.url} → PP:${ppDomain}`);
-    return res.redirect(307, '/pp-proxy/' + ppDomain + req.url);
+app.use((req, res) => {
+  const ref = req.headers.referer || '';
+  const own = APP_PATH_RE.test(req.path) ||
+    gameProxies.some(p => req.path === p.prefix || req.path.startsWith(p.prefix + '/'));
+
+  // Request from a proxied page → same host on that page's proxy
+  for (const proxy of own ? [] : gameProxies) {
+    const host = proxy.hostFromReferer(ref);
+    if (!host) continue;
+    console.log(`  [CATCH-ALL] ${req.url} → ${proxy.id}:${host}`);
+    return res.redirect(307, proxy.prefix + '/' + host + req.url);
+  }
+
+  // No Referer: the game page the player last opened — unless they typed / bookmarked the URL
+  if (!own && req.headers['sec-fetch-site'] !== 'none') {
+    for (const proxy of gameProxies) {
+      if (!proxy.isLeakedPath(req.path)) continue;
+      const host = proxy.hostFromCookie(req);
+      if (!host) continue;
+      console.log(`  [CATCH-ALL] ${req.url} → ${proxy.id}:${host} (session)`);
+      return res.redirect(307, proxy.prefix + '/' + host + req.url);
+    }
   }
 
-  // Default: JILI proxy
-  const refMatch = ref.match(/\/jili\/([a-zA-Z0-9.-]*jiligames\.com)/);
-  const targetDomain = refMatch ? refMatch[1] : 'jiligames.com';
-  console.log(`  [CATCH-ALL] ${req.url} → ${targetDomain} (ref: ${ref.substring(ref.indexOf('/jili/'), ref.indexOf('/jili/') + 50) || 'none'})`);
-  res.redirect(307, '/jili/' + targetDomain + req.url);
+  console.log(`  [CATCH-ALL] ${req.url} → 404 (ref: ${ref.substring(0, 50) || 'none'})`);
+  res.status(404);
+  if (!req.accepts('html')) return res.type('text').send('Not found');
+  res.send(renderProxyErrorPage({
+    title: 'ไม่พบหน้านี้',
+    detail: `ไม่มีหน้า ${req.path} ในระบบ ลิงก์อาจเก่าหรือพิมพ์ผิด`,
+    backHref: '/',
+    meta: 'HTTP 404'
+  }));
 });
 
-// ──────────────────────────────────────────────
-// WebSocket proxy for JILI (Baccarat / live table games use WSS)
-// ──────────────────────────────────────────────
-const wssJili = new WebSocket.Server({ noServer: true });
-
-function handleJiliWsUpgrade(req, socket, head) {
-  const path = req.url || '';
-  if (!path.startsWith('/jili-ws/')) return false;
-  const rest = path.slice('/jili-ws/'.length);
-  const i = rest.indexOf('/');
-  const targetHost = i >= 0 ? decodeURIComponent(rest.slice(0, i)) : decodeURIComponent(rest);
-  const targetPath = i >= 0 ? rest.slice(i) : '/';
-  if (!targetHost || !targetHost.endsWith('jiligames.com')) return false;
-  const backendUrl = 'wss://' + targetHost + targetPath;
-  const agent = getJiliOutboundAgent(targetHost);
-  const backend = new WebSocket(backendUrl, { agent, handshakeTimeout: 12000 });
-  wssJili.handleUpgrade(req, socket, head, (clientWs) => {
-    clientWs.on('message', (data) => { try { backend.send(data); } catch (_) {} });
-    clientWs.on('close', () => { try { backend.close(); } catch (_) {} });
-    clientWs.on('error', () => { try { backend.close(); } catch (_) {} });
-    backend.on('message', (data) => { try { clientWs.send(data); } catch (_) {} });
-    backend.on('close', () => { try { clientWs.close(); } catch (_) {} });
-    backend.on('error', () => { try { clientWs.close(); } catch (_) {} });
-  });
-  return true;
-}
-
 // ──────────────────────────────────────────────
 // Start Express server
 // ──────────────────────────────────────────────
@@ -2153,13 +1478,23 @@ const server = app.listen(PORT, () => {
   console.log(`   Local:   http://localhost:${PORT}`);
   console.log(`   WebApp:  ${WEBAPP_URL}`);
   console.log(`   Bot:     ${bot ? 'Active' : 'Disabled (no BOT_TOKEN)'}`);
-  console.log(`   Bot stats: ${BOT_EVENTS_FILE}` + (BOT_EVENTS_BACKUP_FILE ? ` + backup ${BOT_EVENTS_BACKUP_FILE}` : ''));
-  console.log(`   JILI:    ${loadGames().length} games loaded`);
-  console.log(`   PP:      ${loadPPGames().length} games loaded`);
-  console.log(`   Joker:   ${loadJokerGames().length} games loaded\n`);
+  console.log(`   Bot stats: ${BOT_EVENTS_DIR} (${botEvents.count()} events)` + (BOT_EVENTS_REPLICA_DIR ? ` + replica ${BOT_EVENTS_REPLICA_DIR}` : ''));
+  console.log(`   Plays:   ${PLAY_EVENTS_DIR} (${playEvents.count()} launches)`);
+  for (const { module: p } of catalog.listProviders({ enabledOnly: true })) {
+    console.log(`   ${(p.id.toUpperCase() + ':').padEnd(8)} ${catalog.getGames(p.id).length} games loaded`);
+  }
+  if (process.env.SYNC_SCHEDULER !== '0') {
+    const scheduled = catalogSync.start();
+    if (scheduled.length) console.log(`   Sync:    ${scheduled.join(', ')} (cron, ${resolveTz()})`);
+  }
+  console.log('');
+  if (RESOLVE_PREWARM) {
+    setTimeout(prewarmFeatured, 5000).unref();
+    setInterval(prewarmFeatured, RESOLVE_PREWARM_INTERVAL_MS).unref();
+  }
 });
 
 server.on('upgrade', (req, socket, head) => {
-  if (handleJiliWsUpgrade(req, socket, head)) return;
+  if (gameProxies.some(p => p.handleUpgrade(req, socket, head))) return;
   socket.destroy();
 });
@@ -27,7 +27,7 @@ echo "✅ Bot menu updated"
 
 # Step 3: Start Express server
 cd "$APP_DIR"
-NODE_TLS_REJECT_UNAUTHORIZED=0 $NODE_BIN "$APP_DIR/server.js" > /tmp/miniapp.log 2>&1 &
+$NODE_BIN "$APP_DIR/server.js" > /tmp/miniapp.log 2>&1 &
 SERVER_PID=$!
 sleep 3
 echo "✅ Server started (PID: $SERVER_PID)"
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readCookie } = require('../lib/cookies');
+
+process.env.ADMIN_USERS = 'alice:owner:pw';
+const adminAuth = require('../lib/admin-auth');
+
+function fakeReq(cookie, accept = 'application/json') {
+  return { method: 'GET', originalUrl: '/api/bot-stats', headers: { cookie, accept }, accepts: () => 'json' };
+}
+
+function fakeRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+test('readCookie treats a malformed encoded value as missing', () => {
+  const req = fakeReq('co168_admin=%E0%A4%A; other=1');
+  assert.strictEqual(readCookie(req, 'co168_admin', { decode: true }), null);
+  assert.strictEqual(readCookie(req, 'co168_admin'), '%E0%A4%A');
+  assert.strictEqual(readCookie(req, 'other', { decode: true }), '1');
+});
+
+test('getAdmin ignores a malformed session cookie', () => {
+  assert.strictEqual(adminAuth.getAdmin(fakeReq('co168_admin=%E0%A4%A')), null);
+});
+
+test('requireRole answers 401 for a malformed session cookie', () => {
+  const res = fakeRes();
+  let nextCalled = false;
+  adminAuth.requireRole('viewer')(fakeReq('co168_admin=%E0%A4%A'), res, () => { nextCalled = true; });
+  assert.strictEqual(nextCalled, false);
+  assert.strictEqual(res.statusCode, 401);
+});